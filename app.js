@@ -72,8 +72,9 @@ function initializeMap() {
     MapUtils.log('Initializing map...');
     
     // Create map
+    const goldenSpike = window.MAP_CONFIG.goldenSpike;
     map = L.map('map', {
-        center: [40.7864, -119.2065], // Golden Spike
+        center: [goldenSpike.lat, goldenSpike.lng],
         zoom: 15,
         minZoom: 12,
         maxZoom: 18,
@@ -0,0 +1,174 @@
+// City geometry manifests per burn year
+// Loaded by the browser (window.CityGeometry) and by scripts/inject-data.cjs (require)
+//
+// To add a year: copy the latest manifest, update the spike, rotation and street
+// layout from the Innovate GIS data, and point `datasets` at that year's files
+// (e.g. 'street_lines_2026.geojson' in public/geojson).
+
+(function(root) {
+  const CityGeometry = {
+    defaultYear: 2025,
+    active: null,
+    
+    manifests: {
+      2025: {
+        year: 2025,
+        
+        // The Man - all clock/distance addresses are measured from here
+        goldenSpike: { lat: 40.786963, lng: -119.203007 },
+        
+        // Compass bearing (degrees) that 12:00 points towards
+        rotation: 45,
+        
+        mapBounds: [
+          [40.75, -119.25], // Southwest
+          [40.82, -119.15]  // Northeast
+        ],
+        
+        // Radials every half hour; quarter-hour radials only from quarterHoursFrom outward
+        radials: { from: '2:00', to: '10:00', every: 30, quarterHoursFrom: 'Farmer' },
+        
+        // Arc distances from the Man, measured from street_lines.geojson
+        arcs: [
+          { name: 'Esplanade', distanceFeet: 2470 },
+          { name: 'Atwood', distanceFeet: 2935 },
+          { name: 'Bradbury', distanceFeet: 3215 },
+          { name: 'Cherryh', distanceFeet: 3495 },
+          { name: 'Dick', distanceFeet: 3775 },
+          { name: 'Ellison', distanceFeet: 4060 },
+          { name: 'Farmer', distanceFeet: 4545 },
+          { name: 'Gibson', distanceFeet: 4825 },
+          { name: 'Herbert', distanceFeet: 5105 },
+          { name: 'Ishiguro', distanceFeet: 5380 },
+          { name: 'Jemison', distanceFeet: 5560 },
+          { name: 'Kilgore', distanceFeet: 5750 }
+        ],
+        
+        // Trash fence pentagon [lat, lng]
+        fence: [
+          [40.783393, -119.232738],
+          [40.764368, -119.207732],
+          [40.776562, -119.176194],
+          [40.803105, -119.181680],
+          [40.807359, -119.216634]
+        ],
+        
+        temple: { lat: 40.791815, lng: -119.196622 },
+        centerCamp: { lat: 40.781089, lng: -119.210735 },
+        
+        // Dataset name -> file in public/geojson
+        datasets: {
+          trash_fence: 'trash_fence.geojson',
+          street_lines: 'street_lines.geojson',
+          street_outlines: 'street_outlines.geojson',
+          city_blocks: 'city_blocks.geojson',
+          plazas: 'plazas.geojson',
+          cpns: 'cpns.geojson',
+          toilets: 'toilets.geojson',
+          burning_man_landmarks: 'burning_man_landmarks.json'
+        }
+      }
+    },
+    
+    // Years with a manifest, newest first
+    years: function() {
+      return Object.keys(this.manifests).map(Number).sort((a, b) => b - a);
+    },
+    
+    // Requested year: ?year= URL parameter, then config.year, then the default
+    resolveYear: function(config) {
+      let year = null;
+      
+      if (root.location && root.URLSearchParams) {
+        year = parseInt(new URLSearchParams(root.location.search).get('year'), 10) || null;
+      }
+      
+      return year || (config && parseInt(config.year, 10)) || this.defaultYear;
+    },
+    
+    // Manifest for a year, falling back to the closest earlier year we know about
+    forYear: function(year) {
+      if (this.manifests[year]) {
+        return this.manifests[year];
+      }
+      
+      const fallback = this.years().find(known => known <= year) || this.defaultYear;
+      if (typeof console !== 'undefined') {
+        console.warn(`No city geometry for ${year}, using ${fallback}`);
+      }
+      return this.manifests[fallback];
+    },
+    
+    current: function() {
+      if (!this.active) {
+        this.active = this.forYear(this.resolveYear(root.MAP_CONFIG));
+      }
+      return this.active;
+    },
+    
+    // File name for a dataset in a manifest
+    datasetFile: function(manifest, dataset) {
+      return (manifest.datasets && manifest.datasets[dataset]) || `${dataset}.geojson`;
+    },
+    
+    // Expand the radial/arc layout into meters and clock minutes
+    layout: function(manifest) {
+      const feetToMeters = 1 / 3.28084;
+      const parseClock = (text) => {
+        const parts = text.split(':').map(Number);
+        return (parts[0] % 12) * 60 + parts[1];
+      };
+      
+      const arcs = manifest.arcs.map(arc => ({
+        name: arc.name,
+        radius: arc.distanceFeet * feetToMeters
+      }));
+      
+      const inner = arcs[0].radius;
+      const outer = arcs[arcs.length - 1].radius;
+      const quarterArc = arcs.find(arc => arc.name === manifest.radials.quarterHoursFrom);
+      const quarterStart = quarterArc ? quarterArc.radius : outer;
+      
+      const radials = [];
+      const from = parseClock(manifest.radials.from);
+      const to = parseClock(manifest.radials.to);
+      
+      for (let minutes = from; minutes <= to; minutes += 15) {
+        const isMain = (minutes - from) % manifest.radials.every === 0;
+        const hours = Math.floor(minutes / 60) || 12;
+        const mins = minutes % 60;
+        
+        radials.push({
+          name: `${hours}:${mins < 10 ? '0' : ''}${mins}`,
+          clockMinutes: minutes,
+          minDistance: isMain ? inner : quarterStart,
+          maxDistance: outer
+        });
+      }
+      
+      return { rotation: manifest.rotation, radials: radials, arcs: arcs };
+    },
+    
+    // Fill in year-dependent MAP_CONFIG values that weren't set explicitly
+    applyToConfig: function(config) {
+      const manifest = this.forYear(this.resolveYear(config));
+      this.active = manifest;
+      
+      config.year = manifest.year;
+      config.cityGeometry = manifest;
+      config.goldenSpike = config.goldenSpike || manifest.goldenSpike;
+      config.mapBounds = config.mapBounds || manifest.mapBounds;
+      
+      return manifest;
+    }
+  };
+  
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CityGeometry;
+  } else {
+    root.CityGeometry = CityGeometry;
+    if (root.MAP_CONFIG) {
+      CityGeometry.applyToConfig(root.MAP_CONFIG);
+    }
+  }
+})(this);
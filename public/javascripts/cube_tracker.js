@@ -1,84 +1,245 @@
 // Cube tracking and visualization for external map app
+// Draws every device from MapData.getDevices(): marker, routes and estimate each.
 
 window.CubeTracker = {
-  cubeMarker: null,
-  routePolyline: null,
-  routeDecorator: null,
-  showRoute: false,
+  trackers: {},       // Per device id: { marker, pulseCircle, uncertaintyCircle, estimateLayers, ghostMarker, motion }
+  routes: {},         // Drawn routes by registry name, then device id: { polyline, decorator }
+  shownRoutes: {},    // Route layers switched on
+  routeRequests: {},  // Last history read queued per device
+  routeTracks: {},    // Per device: the fixes read so far, { lastTime, raw, smoothed (RouteSmoother.extend) }
+  following: null,    // Device id the map keeps centered on
+  followCallbacks: [],
+  ageRefreshMs: 30000,
+  
+  // Where a fix came from (MapData's _source), as shown on the age badge and in the popup
+  sourceLabels: {
+    api: { badge: 'LIVE', text: 'live from the cube' },
+    storage: { badge: 'SAVED', text: 'saved on this device' },
+    static: { badge: 'BUILD', text: 'captured when the page was built' },
+    fallback: { badge: 'DEMO', text: 'demo data, the cube was unreachable' }
+  },
   
   // Initialize cube tracking
   init: function(map) {
     this.map = map;
+    RouteSmoother.init();
+    PositionEstimate.init();
     
     // Set up data callbacks
     MapData.onLocationUpdate(this.updateCubeLocation.bind(this));
     MapData.onStatusChange(this.handleStatusChange.bind(this));
     MapData.onError(this.handleError.bind(this));
     
+    // Backfilled history can fill gaps anywhere in the route
+    MapData.onHistoryUpdate((added, deviceId, from) => this.updateRoute(deviceId, from));
+    
+    // The age badge and uncertainty circle keep changing between fixes
+    setInterval(() => this.refreshAge(), this.ageRefreshMs);
+    
+    // Panning the map by hand stops following
+    map.on('dragstart', () => this.follow(null));
+    
+    // Refresh the popup address once the street grid has been indexed
+    MapUtils.brcUtils.onIndexReady(() => {
+      MapData.getDevices().forEach(device => {
+        const tracker = this.tracker(device.id);
+        const currentLocation = MapData.getCurrentLocation(device.id);
+        if (tracker.marker && currentLocation) {
+          tracker.marker.setPopupContent(this.createPopupContent(currentLocation));
+        }
+      });
+    });
+    
     MapUtils.log('Cube tracker initialized');
   },
   
-  // Update cube location on map
+  // Drawing state for one device
+  tracker: function(deviceId) {
+    if (!this.trackers[deviceId]) {
+      this.trackers[deviceId] = {
+        marker: null,
+        pulseCircle: null,
+        uncertaintyCircle: null,
+        estimateLayers: [],
+        ghostMarker: null,
+        motion: null // Recent speed and heading from PositionEstimate.motion()
+      };
+    }
+    return this.trackers[deviceId];
+  },
+  
+  // Update a device's location on the map
   updateCubeLocation: function(locationData) {
-    MapUtils.log('Updating cube location on map');
+    const deviceId = locationData._device;
+    MapUtils.log(`Updating ${deviceId} location on map`);
     
-    const lat = locationData.lat;
-    const lng = locationData.lng;
+    // The marker sits at the filtered position so it doesn't hop around while parked;
+    // the popup still shows the fix itself
+    const [lat, lng] = RouteSmoother.smoothPosition(locationData, deviceId);
     
     // Create or update cube marker
     this.updateCubeMarker(lat, lng, locationData);
     
-    // Update route if enabled
-    if (this.showRoute) {
-      this.updateRoute();
+    if (this.following === deviceId) {
+      this.map.panTo([lat, lng]);
     }
+    
+    // Update routes that are switched on
+    this.updateRoute(deviceId, LocationValidator.fixTime(locationData));
+    
+    this.tracker(deviceId).motion = null;
+    this.updateEstimate(deviceId);
+    this.updateMotion(locationData);
   },
   
-  // Create or update the cube marker
+  // Speed and heading over the fixes leading up to this one, for the estimate
+  updateMotion: function(locationData) {
+    const deviceId = locationData._device;
+    const fixTime = LocationValidator.fixTime(locationData);
+    
+    MapData.getLocationHistoryFull(fixTime - PositionEstimate.config.motionWindowMs, fixTime - 1, deviceId).then(history => {
+      // A newer fix arrived while the history was being read
+      if (MapData.getCurrentLocation(deviceId) !== locationData) return;
+      
+      this.tracker(deviceId).motion = PositionEstimate.motion(history.concat([{ time: fixTime, lat: locationData.lat, lng: locationData.lng }]));
+      this.updateEstimate(deviceId);
+    });
+  },
+  
+  // Once a device's fix is stale, show how far it could have gone since, and where it
+  // probably went if it was moving (the 'estimate' layer)
+  updateEstimate: function(deviceId) {
+    const location = MapData.getCurrentLocation(deviceId);
+    const tracker = this.tracker(deviceId);
+    const ghostLayer = MapSetup.getLayer('estimate');
+    
+    if (tracker.uncertaintyCircle) {
+      MapSetup.getLayer('cube').removeLayer(tracker.uncertaintyCircle);
+      tracker.uncertaintyCircle = null;
+    }
+    tracker.estimateLayers.forEach(layer => ghostLayer.removeLayer(layer));
+    tracker.estimateLayers = [];
+    tracker.ghostMarker = null;
+    
+    if (!location || !MapData.isDataStale(location)) return;
+    
+    const estimate = PositionEstimate.estimate(location, LocationValidator.fixTime(location), tracker.motion);
+    const age = MapUtils.formatTimestamp(new Date(Date.now() - estimate.ageMs).toISOString());
+    
+    tracker.uncertaintyCircle = L.circle([location.lat, location.lng], {
+      radius: estimate.radiusMeters,
+      color: '#ffaa00',
+      weight: 2,
+      opacity: 0.7,
+      dashArray: '6,6',
+      fillColor: '#ffaa00',
+      fillOpacity: 0.08,
+      interactive: false
+    });
+    MapSetup.getLayer('cube').addLayer(tracker.uncertaintyCircle);
+    
+    // Past the expiry threshold the heading means nothing
+    if (!estimate.ghost || MapData.isDataExpired(location)) return;
+    
+    const heading = L.polyline([[location.lat, location.lng], [estimate.ghost.lat, estimate.ghost.lng]], {
+      color: '#ffaa00',
+      weight: 2,
+      opacity: 0.6,
+      dashArray: '2,6',
+      interactive: false
+    });
+    
+    const device = MapData.getDevice(deviceId);
+    tracker.ghostMarker = L.marker([estimate.ghost.lat, estimate.ghost.lng], {
+      icon: L.divIcon({ className: 'cube-ghost', html: '?', iconSize: [28, 28] }),
+      title: `${device.name}: estimated position`,
+      keyboard: false
+    });
+    tracker.ghostMarker.bindTooltip(
+      `${device.name} probably here (estimate): ${MapUtils.formatDistance(MapUtils.haversineDistance(location.lat, location.lng, estimate.ghost.lat, estimate.ghost.lng))} ` +
+      `along the last heading since the fix ${age}`
+    );
+    
+    tracker.estimateLayers = [heading, tracker.ghostMarker];
+    tracker.estimateLayers.forEach(layer => ghostLayer.addLayer(layer));
+  },
+  
+  // Create or update a device's marker
   updateCubeMarker: function(lat, lng, locationData) {
     const cubeLayer = MapSetup.getLayer('cube');
+    const tracker = this.tracker(locationData._device);
+    const device = MapData.getDevice(locationData._device);
     
     // Remove existing marker
-    if (this.cubeMarker) {
-      cubeLayer.removeLayer(this.cubeMarker);
+    if (tracker.marker) {
+      cubeLayer.removeLayer(tracker.marker);
     }
     
-    // Create new marker with cube icon
-    this.cubeMarker = L.marker([lat, lng], {
-      icon: MapUtils.createCubeIcon(),
-      title: 'GlitchCube Current Location'
+    // Create new marker with cube icon and age badge
+    tracker.marker = L.marker([lat, lng], {
+      icon: this.createIcon(locationData),
+      title: `${device.name} Current Location`
     });
     
     // Create popup content
     const popupContent = this.createPopupContent(locationData);
-    this.cubeMarker.bindPopup(popupContent);
+    tracker.marker.bindPopup(popupContent);
     
     // Add to map
-    cubeLayer.addLayer(this.cubeMarker);
+    cubeLayer.addLayer(tracker.marker);
     
     // Pulse animation effect
-    this.addPulseEffect(lat, lng);
+    this.addPulseEffect(lat, lng, locationData._device);
+  },
+  
+  // Age of a fix: { ageMs, tier: 'fresh' | 'stale' | 'expired', source, label }
+  ageState: function(locationData) {
+    const ageMs = Math.max(Date.now() - LocationValidator.fixTime(locationData), 0);
+    const source = this.sourceLabels[locationData._source] ? locationData._source : 'api';
+    
+    return { ageMs: ageMs, tier: MapData.getAgeTier(locationData), source: source, label: this.sourceLabels[source].badge };
+  },
+  
+  // Marker icon for a fix; devices are only told apart once there's more than one
+  createIcon: function(locationData) {
+    const device = MapData.getDevices().length > 1 ? MapData.getDevice(locationData._device) : null;
+    return MapUtils.createCubeIcon(this.ageState(locationData), device);
   },
   
-  // Add pulse animation around cube
-  addPulseEffect: function(lat, lng) {
+  // Redraw what depends on each fix's age: the marker tier and badge, popup and uncertainty circle
+  refreshAge: function() {
+    MapData.getDevices().forEach(device => {
+      const tracker = this.tracker(device.id);
+      const location = MapData.getCurrentLocation(device.id);
+      
+      if (tracker.marker && location) {
+        tracker.marker.setIcon(this.createIcon(location));
+        tracker.marker.setPopupContent(this.createPopupContent(location));
+      }
+      this.updateEstimate(device.id);
+    });
+  },
+  
+  // Add pulse animation around a device's marker
+  addPulseEffect: function(lat, lng, deviceId) {
     const cubeLayer = MapSetup.getLayer('cube');
+    const tracker = this.tracker(deviceId);
     
     // Remove any existing pulse
-    if (this.pulseCircle) {
-      cubeLayer.removeLayer(this.pulseCircle);
+    if (tracker.pulseCircle) {
+      cubeLayer.removeLayer(tracker.pulseCircle);
     }
     
     // Create pulse circle
-    this.pulseCircle = L.circleMarker([lat, lng], {
+    const pulseCircle = tracker.pulseCircle = L.circleMarker([lat, lng], {
       radius: 20,
       fillOpacity: 0,
-      color: '#4ecdc4',
+      color: MapData.getDevice(deviceId).color,
       weight: 3,
       opacity: 0.8
     });
     
-    cubeLayer.addLayer(this.pulseCircle);
+    cubeLayer.addLayer(pulseCircle);
     
     // Animate pulse
     let radius = 20;
@@ -89,14 +250,14 @@ window.CubeTracker = {
       
       if (opacity <= 0) {
         clearInterval(pulseAnimation);
-        if (this.pulseCircle) {
-          cubeLayer.removeLayer(this.pulseCircle);
-          this.pulseCircle = null;
+        cubeLayer.removeLayer(pulseCircle);
+        if (tracker.pulseCircle === pulseCircle) {
+          tracker.pulseCircle = null;
         }
         return;
       }
       
-      this.pulseCircle.setStyle({
+      pulseCircle.setStyle({
         radius: radius,
         opacity: opacity
       });
@@ -105,11 +266,16 @@ window.CubeTracker = {
   
   // Create popup content for cube marker
   createPopupContent: function(locationData) {
+    const device = MapData.getDevice(locationData._device);
     let content = '<div style="min-width: 200px;">';
-    content += '<h3 style="margin: 0 0 10px 0; color: #4ecdc4;">🎲 GlitchCube</h3>';
-    
-    // Location info
-    if (locationData.address) {
+    content += `<h3 style="margin: 0 0 10px 0; color: ${device.color};">${device.icon} ${device.name}</h3>`;
+    
+    // Location info - prefer the street-accurate BRC address
+    const brcLocation = MapUtils.brcUtils.geocode(locationData.lat, locationData.lng);
+    if (brcLocation) {
+      content += `<strong>Location:</strong> ${brcLocation.address}<br>`;
+      content += `<span style="color: #aaa; font-size: 11px;">${MapUtils.brcUtils.describeLocation(brcLocation)}</span><br>`;
+    } else if (locationData.address) {
       content += `<strong>Location:</strong> ${locationData.address}<br>`;
     }
     
@@ -140,11 +306,11 @@ window.CubeTracker = {
       content += '</ul>';
     }
     
-    // Timestamp
-    if (locationData.timestamp) {
-      const updateTime = MapUtils.formatTimestamp(locationData.timestamp);
-      content += `<div style="color: #888; font-size: 11px; margin-top: 8px;">Updated: ${updateTime}</div>`;
-    }
+    // Age and where the fix came from
+    const age = this.ageState(locationData);
+    content += `<div class="cube-age cube-age-${age.tier}">${MapUtils.formatAge(age.ageMs)}`;
+    content += age.tier === 'fresh' ? '' : ` (${age.tier})`;
+    content += ` • ${this.sourceLabels[age.source].text}</div>`;
     
     // Data source
     if (locationData.source) {
@@ -155,72 +321,111 @@ window.CubeTracker = {
     return content;
   },
   
-  // Update route visualization
-  updateRoute: function() {
-    const routeLayer = MapSetup.getLayer('route');
-    const history = MapData.getLocationHistory();
+  // Redraw every route layer that's switched on for a device (all devices without one). from
+  // is the oldest fix that changed: when that's after the route's last fix only the newer fixes
+  // are read and smoothed, otherwise (a backfill filling a gap, a route just switched on) the
+  // whole store is, which can be days of fixes. Reads for a device run one after another.
+  updateRoute: function(deviceId = null, from = null) {
+    if (!Object.values(this.shownRoutes).some(Boolean)) return;
+    
+    if (!deviceId) {
+      MapData.getDevices().forEach(device => this.updateRoute(device.id));
+      return;
+    }
+    
+    const previous = this.routeRequests[deviceId] || Promise.resolve();
+    this.routeRequests[deviceId] = previous.then(() => {
+      const track = this.routeTracks[deviceId];
+      const append = track && track.lastTime !== null && from !== null && from > track.lastTime;
+      
+      return MapData.getLocationHistoryFull(append ? track.lastTime + 1 : null, null, deviceId).then(fixes => {
+        if (append && fixes.length === 0) return;
+        
+        const next = append ? track : { lastTime: null, raw: [], smoothed: null };
+        fixes.forEach(fix => next.raw.push([fix.lat, fix.lng]));
+        next.smoothed = RouteSmoother.extend(next.smoothed, fixes);
+        next.lastTime = fixes.length ? fixes[fixes.length - 1].time : next.lastTime;
+        this.routeTracks[deviceId] = next;
+        
+        Object.keys(this.shownRoutes)
+          .filter(name => this.shownRoutes[name])
+          .forEach(name => this.drawRoute(name, deviceId, next));
+      });
+    }).catch(error => {
+      MapUtils.error(`Failed to update the route for ${deviceId}:`, error);
+    });
+  },
+  
+  // Draw one device's route on a route layer: the smoothed track in the device's color,
+  // or the raw fixes for track: 'raw'
+  drawRoute: function(name, deviceId, track) {
+    const definition = MapSetup.getLayerDefinition(name);
+    const routeLayer = MapSetup.getLayer(name);
+    const routes = this.routes[name] = this.routes[name] || {};
     
     // Remove existing route
-    if (this.routePolyline) {
-      routeLayer.removeLayer(this.routePolyline);
-    }
-    if (this.routeDecorator) {
-      routeLayer.removeLayer(this.routeDecorator);
+    if (routes[deviceId]) {
+      routeLayer.removeLayer(routes[deviceId].polyline);
+      if (routes[deviceId].decorator) {
+        routeLayer.removeLayer(routes[deviceId].decorator);
+      }
+      routes[deviceId] = null;
     }
     
-    if (history.length < 2) {
-      MapUtils.log('Not enough history points for route');
+    const coordinates = definition.track === 'raw'
+      ? track.raw
+      : RouteSmoother.points(track.smoothed);
+    
+    if (coordinates.length < 2) {
+      MapUtils.log(`Not enough history points for ${name} (${deviceId})`);
       return;
     }
     
     // Create route polyline
-    const routeResult = MapUtils.createRoutePolyline(history, this.map);
+    const style = Object.assign({ color: MapData.getDevice(deviceId).color }, definition.style);
+    const routeResult = MapUtils.createRoutePolyline(coordinates, this.map, style);
     
     if (routeResult) {
-      this.routePolyline = routeResult.polyline;
-      this.routeDecorator = routeResult.decorator;
+      routes[deviceId] = routeResult;
       
       // Add to map
-      routeLayer.addLayer(this.routePolyline);
-      if (this.routeDecorator) {
-        routeLayer.addLayer(this.routeDecorator);
+      routeLayer.addLayer(routeResult.polyline);
+      if (routeResult.decorator) {
+        routeLayer.addLayer(routeResult.decorator);
       }
       
-      MapUtils.log(`Route updated with ${history.length} points`);
+      MapUtils.log(`${definition.label} for ${deviceId} updated with ${coordinates.length} points (${track.raw.length} fixes)`);
     }
   },
   
-  // Toggle route display
-  toggleRoute: function() {
-    this.showRoute = !this.showRoute;
+  isRouteShown: function(name = 'route') {
+    return !!this.shownRoutes[name];
+  },
+  
+  // Toggle a route layer ('route' or 'raw_route' in the registry)
+  toggleRoute: function(name = 'route') {
+    const shown = this.shownRoutes[name] = !this.shownRoutes[name];
     
-    const routeLayer = MapSetup.getLayer('route');
+    // MapSetup owns visibility (including the layer's zoom range)
+    MapSetup.setLayerEnabled(name, shown);
     
-    if (this.showRoute) {
-      // Add route layer to map
-      if (!this.map.hasLayer(routeLayer)) {
-        this.map.addLayer(routeLayer);
-      }
+    if (shown) {
       this.updateRoute();
-      MapUtils.log('Route display enabled');
+      MapUtils.log(`Route display enabled: ${name}`);
     } else {
-      // Remove route layer from map
-      if (this.map.hasLayer(routeLayer)) {
-        this.map.removeLayer(routeLayer);
-      }
-      MapUtils.log('Route display disabled');
+      MapUtils.log(`Route display disabled: ${name}`);
     }
     
-    return this.showRoute;
+    return shown;
   },
   
-  // Center map on cube location
-  centerOnCube: function(zoom = null) {
-    const currentLocation = MapData.getCurrentLocation();
+  // Center map on a device (the default device if none is given)
+  centerOnCube: function(zoom = null, deviceId = undefined) {
+    const currentLocation = MapData.getCurrentLocation(deviceId);
     
     if (currentLocation) {
       MapSetup.centerOn(currentLocation.lat, currentLocation.lng, zoom);
-      MapUtils.log('Centered map on cube location');
+      MapUtils.log(`Centered map on ${currentLocation._device} location`);
       return true;
     } else {
       MapUtils.log('No cube location available to center on');
@@ -228,18 +433,38 @@ window.CubeTracker = {
     }
   },
   
+  // Keep the map centered on a device as it moves; null stops following
+  follow: function(deviceId) {
+    if (deviceId === this.following) return;
+    this.following = deviceId;
+    
+    if (deviceId) {
+      this.centerOnCube(null, deviceId);
+      MapUtils.log(`Following ${deviceId}`);
+    } else {
+      MapUtils.log('Stopped following');
+    }
+    
+    this.followCallbacks.forEach(callback => callback(deviceId));
+  },
+  
+  onFollowChange: function(callback) {
+    this.followCallbacks.push(callback);
+  },
+  
   // Handle status changes
   handleStatusChange: function(status, oldStatus) {
     MapUtils.log(`Cube tracker status: ${oldStatus} -> ${status}`);
     
-    // Could add visual indicators here
-    if (status === 'offline' && this.cubeMarker) {
-      // Make marker semi-transparent when offline
-      this.cubeMarker.setOpacity(0.5);
-    } else if (status === 'online' && this.cubeMarker) {
-      // Restore full opacity when back online
-      this.cubeMarker.setOpacity(1.0);
-    }
+    Object.values(this.trackers).filter(tracker => tracker.marker).forEach(tracker => {
+      if (status === 'offline') {
+        // Make markers semi-transparent when offline
+        tracker.marker.setOpacity(0.5);
+      } else if (status === 'online') {
+        // Restore full opacity when back online
+        tracker.marker.setOpacity(1.0);
+      }
+    });
   },
   
   // Handle errors
@@ -249,18 +474,19 @@ window.CubeTracker = {
     // Could show error indicators on map
   },
   
-  // Get current cube coordinates
-  getCurrentCoordinates: function() {
-    const location = MapData.getCurrentLocation();
+  // Get current coordinates of a device (the default device if none is given)
+  getCurrentCoordinates: function(deviceId = undefined) {
+    const location = MapData.getCurrentLocation(deviceId);
     return location ? [location.lat, location.lng] : null;
   },
   
-  // Check if cube is currently visible on map
-  isCubeVisible: function() {
-    if (!this.cubeMarker) return false;
+  // Check if a device's marker is currently visible on map
+  isCubeVisible: function(deviceId = MapData.getDevices()[0].id) {
+    const marker = this.tracker(deviceId).marker;
+    if (!marker) return false;
     
     const bounds = this.map.getBounds();
-    const cubeLatLng = this.cubeMarker.getLatLng();
+    const cubeLatLng = marker.getLatLng();
     
     return bounds.contains(cubeLatLng);
   }
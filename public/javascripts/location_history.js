@@ -0,0 +1,268 @@
+// Full location history for external cube tracker
+// Every fix goes into IndexedDB keyed by its timestamp (ms), so a reload keeps the whole week.
+// Falls back to a capped in-memory list when IndexedDB isn't available (private browsing).
+// All methods return Promises.
+
+window.LocationHistory = {
+  config: {
+    dbName: 'glitchcube-history',
+    storeName: 'fixes',
+    syncedKey: 'glitchcube_history_synced', // localStorage
+    retentionDays: 14, // Older fixes are pruned (MAP_CONFIG.historyRetentionDays)
+    maxFixes: 50000,   // About a month of fixes every minute
+    memoryLimit: 1000  // Cap for the in-memory fallback
+  },
+  
+  db: null,
+  ready: null,
+  memory: null, // Array of fixes when running without IndexedDB
+  latest: null, // Newest stored fix, for dedup
+  syncedTo: null, // Time (ms) up to which the store holds everything the server recorded
+  size: 0,
+  devices: {}, // Stores for other devices, see forDevice()
+  
+  // The store for another device: the same object with its own database and sync marker
+  forDevice: function(deviceId) {
+    const stores = window.LocationHistory.devices;
+    
+    if (!stores[deviceId]) {
+      stores[deviceId] = Object.assign(Object.create(window.LocationHistory), {
+        config: Object.assign({}, this.config, {
+          dbName: `${window.LocationHistory.config.dbName}-${deviceId}`,
+          syncedKey: `${window.LocationHistory.config.syncedKey}_${deviceId}`
+        }),
+        db: null,
+        ready: null,
+        memory: null,
+        latest: null,
+        syncedTo: null,
+        size: 0
+      });
+    }
+    return stores[deviceId];
+  },
+  
+  // Open the database once; later calls share the same promise
+  open: function() {
+    if (this.ready) return this.ready;
+    
+    if (MAP_CONFIG.historyRetentionDays) {
+      this.config.retentionDays = MAP_CONFIG.historyRetentionDays;
+    }
+    
+    this.ready = new Promise(resolve => {
+      if (!window.indexedDB) {
+        resolve(this.useMemory('IndexedDB not available'));
+        return;
+      }
+      
+      let request;
+      try {
+        request = indexedDB.open(this.config.dbName, 1);
+      } catch (error) {
+        resolve(this.useMemory(error.message));
+        return;
+      }
+      
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.config.storeName, { keyPath: 'time' });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.syncedTo = parseInt(localStorage.getItem(this.config.syncedKey), 10) || null;
+        resolve(this.prune().then(() => this.loadLatest()));
+      };
+      request.onerror = () => {
+        resolve(this.useMemory(request.error ? request.error.message : 'open failed'));
+      };
+    });
+    
+    return this.ready;
+  },
+  
+  useMemory: function(reason) {
+    MapUtils.log(`Location history kept in memory only (${reason})`);
+    this.memory = [];
+  },
+  
+  // Run work(store) in one transaction; resolves with the result of the request it returns
+  transaction: function(mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.config.storeName, mode);
+      const request = work(tx.objectStore(this.config.storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  },
+  
+  loadLatest: function() {
+    return this.transaction('readonly', store => {
+      const request = store.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        this.latest = request.result ? request.result.value : null;
+      };
+    }).then(() => this.count());
+  },
+  
+  // Stored shape of a MapData history entry
+  toFix: function(entry) {
+    const time = Date.parse(entry.timestamp);
+    const fix = {
+      time: isNaN(time) ? Date.now() : time,
+      lat: entry.lat,
+      lng: entry.lng,
+      address: entry.address,
+      context: entry.context,
+      source: entry.source
+    };
+    fix.timestamp = new Date(fix.time).toISOString();
+    return fix;
+  },
+  
+  // A fix we already have, or the newest fix again with a later timestamp (the cube hasn't moved)
+  isRepeat: function(fix) {
+    const latest = this.latest;
+    if (!latest) return false;
+    
+    return fix.time === latest.time ||
+      (fix.time > latest.time && fix.lat === latest.lat && fix.lng === latest.lng);
+  },
+  
+  // Store one fix; resolves true if it was new
+  add: function(entry) {
+    return this.addAll([entry]).then(added => added > 0);
+  },
+  
+  // Store several fixes in one transaction; resolves with how many were new
+  addAll: function(entries) {
+    return this.open().then(() => {
+      const fixes = entries
+        .map(entry => this.toFix(entry))
+        .sort((a, b) => a.time - b.time)
+        .filter(fix => {
+          if (this.isRepeat(fix)) return false;
+          if (!this.latest || fix.time > this.latest.time) {
+            this.latest = fix;
+          }
+          return true;
+        });
+      
+      if (fixes.length === 0) return 0;
+      
+      if (this.memory) {
+        const times = new Set(this.memory.map(fix => fix.time));
+        const added = fixes.filter(fix => {
+          if (times.has(fix.time)) return false;
+          times.add(fix.time);
+          return true;
+        });
+        
+        this.memory = this.memory.concat(added).sort((a, b) => a.time - b.time).slice(-this.config.memoryLimit);
+        this.size = this.memory.length;
+        return added.length;
+      }
+      
+      // add rather than put: a fix already stored under its timestamp (a backfill sending one we
+      // got live) fails with a ConstraintError, which leaves it alone and keeps it out of the count
+      let added = 0;
+      return this.transaction('readwrite', store => {
+        fixes.forEach(fix => {
+          const request = store.add(fix);
+          request.onsuccess = () => {
+            added++;
+          };
+          request.onerror = event => {
+            if (request.error && request.error.name === 'ConstraintError') {
+              event.preventDefault(); // Don't abort the transaction for the other fixes
+              event.stopPropagation();
+            }
+          };
+        });
+      }).then(() => this.count()).then(() => added);
+    }).catch(error => {
+      MapUtils.error('Failed to store location history:', error);
+      return 0;
+    });
+  },
+  
+  // Fixes between two times (ms or anything Date accepts), oldest first
+  range: function(from = null, to = null) {
+    const lower = from == null ? -Infinity : new Date(from).getTime();
+    const upper = to == null ? Infinity : new Date(to).getTime();
+    
+    return this.open().then(() => {
+      if (this.memory) {
+        return this.memory.filter(fix => fix.time >= lower && fix.time <= upper);
+      }
+      return this.transaction('readonly', store => store.getAll(IDBKeyRange.bound(lower, upper)));
+    }).catch(error => {
+      MapUtils.error('Failed to read location history:', error);
+      return [];
+    });
+  },
+  
+  // Record that the store is complete up to a time (after a backfill from the server)
+  markSynced: function(time) {
+    if (!time || time <= this.syncedTo) return;
+    
+    this.syncedTo = time;
+    if (!this.memory) {
+      localStorage.setItem(this.config.syncedKey, String(time));
+    }
+  },
+  
+  count: function() {
+    if (this.memory) {
+      return Promise.resolve(this.size = this.memory.length);
+    }
+    return this.transaction('readonly', store => store.count()).then(size => {
+      this.size = size;
+      return size;
+    });
+  },
+  
+  // Drop fixes past the retention window, then the oldest beyond maxFixes
+  prune: function() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    
+    if (this.memory) {
+      this.memory = this.memory.filter(fix => fix.time >= cutoff).slice(-this.config.maxFixes);
+      return this.count();
+    }
+    
+    return this.transaction('readwrite', store => {
+      store.delete(IDBKeyRange.upperBound(cutoff, true));
+    })
+      .then(() => this.count())
+      .then(size => {
+        const excess = size - this.config.maxFixes;
+        if (excess <= 0) return size;
+        
+        return this.transaction('readonly', store => store.getAllKeys(null, excess))
+          .then(keys => this.transaction('readwrite', store => {
+            store.delete(IDBKeyRange.upperBound(keys[keys.length - 1]));
+          }))
+          .then(() => this.count());
+      })
+      .catch(error => {
+        MapUtils.error('Failed to prune location history:', error);
+      });
+  },
+  
+  clear: function() {
+    return this.open().then(() => {
+      this.latest = null;
+      this.syncedTo = null;
+      this.size = 0;
+      
+      if (this.memory) {
+        this.memory = [];
+        return;
+      }
+      localStorage.removeItem(this.config.syncedKey);
+      return this.transaction('readwrite', store => {
+        store.clear();
+      });
+    });
+  }
+};
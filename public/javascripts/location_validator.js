@@ -0,0 +1,99 @@
+// Location fix validation for external cube tracker
+// check() returns null for a usable fix, or { reason, detail } explaining why it was rejected.
+// Reasons: missing_coordinates, out_of_range, null_island, out_of_bounds, bad_timestamp,
+// future_timestamp, impossible_jump.
+
+window.LocationValidator = {
+  config: {
+    maxSpeedMps: 25,           // Faster than any art car; about 90 km/h
+    gpsSlackMeters: 50,        // Allowed on top of maxSpeedMps for GPS wander
+    maxFutureSkewMs: 5 * 60 * 1000,
+    maxConsecutiveJumps: 3     // After this many rejected jumps that agree with each other, trust the new position
+  },
+  
+  // Per track, so one device's jumps don't count against another's: the last rejected jump
+  // and how many rejected fixes in a row led up to it without jumping between themselves
+  jumpRuns: {},
+  
+  // previous is the last accepted fix (or null) on the same track (e.g. a device id); only
+  // used for the jump check
+  check: function(fix, previous = null, track = 'default') {
+    const lat = fix.lat;
+    const lng = fix.lng;
+    
+    if (typeof lat !== 'number' || typeof lng !== 'number' || !isFinite(lat) || !isFinite(lng)) {
+      return this.reject('missing_coordinates', `lat/lng not numbers (${lat}, ${lng})`);
+    }
+    
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return this.reject('out_of_range', `${lat}, ${lng} is not on Earth`);
+    }
+    
+    // GPS modules report 0,0 before their first real fix
+    if (Math.abs(lat) < 0.0001 && Math.abs(lng) < 0.0001) {
+      return this.reject('null_island', 'cold-start fix at 0,0');
+    }
+    
+    const bounds = MAP_CONFIG.mapBounds;
+    if (bounds && (lat < bounds[0][0] || lat > bounds[1][0] || lng < bounds[0][1] || lng > bounds[1][1])) {
+      return this.reject('out_of_bounds', `${lat.toFixed(5)}, ${lng.toFixed(5)} is outside the map`);
+    }
+    
+    const time = this.fixTime(fix);
+    if (fix.timestamp && isNaN(time)) {
+      return this.reject('bad_timestamp', `unreadable timestamp "${fix.timestamp}"`);
+    }
+    if (time - Date.now() > this.config.maxFutureSkewMs) {
+      return this.reject('future_timestamp', `${fix.timestamp} is ${Math.round((time - Date.now()) / 60000)} min in the future`);
+    }
+    
+    const jump = previous && this.checkJump(fix, time, previous);
+    if (jump) {
+      const run = this.extendJumpRun(fix, time, track);
+      if (run <= this.config.maxConsecutiveJumps) {
+        return jump;
+      }
+      MapUtils.log(`Accepting fix after ${run - 1} rejected jumps to the same place - the previous position was probably wrong`);
+    }
+    
+    delete this.jumpRuns[track];
+    return null;
+  },
+  
+  // Length of the run of rejected jumps once this one joins it. The same fix delivered again
+  // (polling before the next fix) doesn't count, and a fix that couldn't have followed the last
+  // rejected one starts a new run, so unrelated outliers never add up.
+  extendJumpRun: function(fix, time, track) {
+    const run = this.jumpRuns[track];
+    const repeat = run && (fix.timestamp
+      ? time === run.time
+      : fix.lat === run.last.lat && fix.lng === run.last.lng);
+    if (repeat) return run.count;
+    
+    const agrees = run && time > run.time && !this.checkJump(fix, time, run.last);
+    this.jumpRuns[track] = { last: fix, time: time, count: agrees ? run.count + 1 : 1 };
+    return this.jumpRuns[track].count;
+  },
+  
+  // Distance covered faster than maxSpeedMps since the previous fix
+  checkJump: function(fix, time, previous) {
+    const previousTime = this.fixTime(previous);
+    const seconds = (time - previousTime) / 1000;
+    if (!(seconds > 0)) return null; // Repeats and out-of-order fixes say nothing about speed
+    
+    const meters = MapUtils.haversineDistance(previous.lat, previous.lng, fix.lat, fix.lng);
+    if (meters <= this.config.gpsSlackMeters + this.config.maxSpeedMps * seconds) return null;
+    
+    return this.reject('impossible_jump', `${MapUtils.formatDistance(meters)} in ${Math.round(seconds)}s`);
+  },
+  
+  // The fix's own timestamp, or when it was received if it has none
+  fixTime: function(fix) {
+    if (fix.timestamp) return Date.parse(fix.timestamp);
+    return fix._receivedAt ? Date.parse(fix._receivedAt) : Date.now();
+  },
+  
+  reject: function(reason, detail) {
+    return { reason: reason, detail: detail };
+  }
+};
@@ -20,26 +20,17 @@ document.addEventListener('DOMContentLoaded', function() {
   // Setup keyboard shortcuts
   MapControls.setupKeyboardShortcuts();
   
-  // Start periodic location updates
-  const updateInterval = MAP_CONFIG.updateInterval || 120000; // Default 2 minutes
-  MapData.startPeriodicUpdates(updateInterval);
+  // Cache the app for offline reloads
+  OfflineSupport.init();
   
-  MapUtils.log(`Application initialized - polling every ${updateInterval/1000}s`);
+  // Start location updates (static data, live stream or polling; paused while the tab is hidden)
+  MapData.start();
   
-  // Handle page visibility changes to pause/resume updates when tab is hidden
-  document.addEventListener('visibilitychange', function() {
-    if (document.hidden) {
-      MapUtils.log('Page hidden - stopping updates');
-      MapData.stopPeriodicUpdates();
-    } else {
-      MapUtils.log('Page visible - resuming updates');
-      MapData.startPeriodicUpdates(updateInterval);
-    }
-  });
+  MapUtils.log(`Application initialized - ${MapData.describeTransport()}`);
   
   // Handle window beforeunload to cleanup
   window.addEventListener('beforeunload', function() {
-    MapData.stopPeriodicUpdates();
+    MapData.stop();
   });
   
   // Show initial loading status
@@ -53,13 +44,17 @@ document.addEventListener('DOMContentLoaded', function() {
   // Add some helpful console messages
   console.log('%c🎲 GlitchCube External Tracker', 'color: #4ecdc4; font-size: 16px; font-weight: bold;');
   console.log('%cKeyboard shortcuts:', 'color: #888; font-weight: bold;');
-  console.log('C - Center on cube');
-  console.log('R - Toggle route history');
-  console.log('L - Toggle landmarks');
-  console.log('S - Toggle streets');
+  console.log('C - Center on cube (the device picked in the status panel)');
+  console.log('F - Follow that device');
   console.log('M - Center on The Man (Golden Spike)');
-  console.log(`%cPolling interval: ${updateInterval/1000} seconds`, 'color: #888;');
-  console.log(`%cAPI endpoint: ${MAP_CONFIG.glitchcubeApiUrl}`, 'color: #888;');
+  MAP_CONFIG.layers.filter(layer => layer.shortcut).forEach(layer => {
+    console.log(`${layer.shortcut.toUpperCase()} - Toggle ${layer.label.toLowerCase()}`);
+  });
+  console.log(`%cLocation updates: ${MapData.describeTransport()}`, 'color: #888;');
+  if (MAP_CONFIG.glitchcubeApiUrl) {
+    console.log(`%cAPI endpoint: ${MAP_CONFIG.glitchcubeApiUrl}`, 'color: #888;');
+  }
+  console.log('%cDiagnostics:', 'color: #888;', MapData.getDiagnostics());
 });
 
 // Global error handler
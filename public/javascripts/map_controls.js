@@ -1,17 +1,24 @@
 // Map controls for external cube tracker
 
 window.MapControls = {
-  controlStates: {
-    route: false,
-    landmarks: true,
-    streets: false,
-    toilets: false
-  },
+  // Enabled state per registry layer (see map_layers.js)
+  controlStates: {},
+  
+  // Device shown in the status panel and centered by C (see MapData.getDevices())
+  selectedDevice: null,
   
   // Initialize map controls
   init: function() {
+    MAP_CONFIG.layers.forEach(definition => {
+      this.controlStates[definition.name] = !!definition.visible;
+    });
+    this.selectedDevice = MapData.getDevices()[0].id;
+    
     this.setupControlButtons();
+    this.setupLayerPanel();
     this.setupStatusPanel();
+    this.setupDevicePicker();
+    this.setupAddressSearch();
     MapUtils.log('Map controls initialized');
   },
   
@@ -21,38 +28,16 @@ window.MapControls = {
     const centerButton = document.getElementById('center-button');
     if (centerButton) {
       centerButton.addEventListener('click', () => {
-        const success = CubeTracker.centerOnCube(16);
+        const success = CubeTracker.centerOnCube(16, this.selectedDevice);
         this.showFeedback(centerButton, success);
       });
     }
     
-    // Route toggle button
-    const routeToggle = document.getElementById('route-toggle');
-    if (routeToggle) {
-      routeToggle.addEventListener('click', () => {
-        const isEnabled = CubeTracker.toggleRoute();
-        this.controlStates.route = isEnabled;
-        this.updateButtonState(routeToggle, isEnabled);
-      });
-    }
-    
-    // Landmarks toggle button
-    const landmarksToggle = document.getElementById('landmarks-toggle');
-    if (landmarksToggle) {
-      landmarksToggle.addEventListener('click', () => {
-        const isEnabled = MapSetup.toggleLayer('landmarks');
-        this.controlStates.landmarks = isEnabled;
-        this.updateButtonState(landmarksToggle, isEnabled);
-      });
-    }
-    
-    // Streets toggle button
-    const streetsToggle = document.getElementById('streets-toggle');
-    if (streetsToggle) {
-      streetsToggle.addEventListener('click', () => {
-        const isEnabled = MapSetup.toggleLayer('streets');
-        this.controlStates.streets = isEnabled;
-        this.updateButtonState(streetsToggle, isEnabled);
+    // Refresh button (fetch the location now)
+    const refreshButton = document.getElementById('refresh-button');
+    if (refreshButton) {
+      refreshButton.addEventListener('click', () => {
+        this.showFeedback(refreshButton, MapData.refresh());
       });
     }
     
@@ -66,17 +51,237 @@ window.MapControls = {
     }
   },
   
+  // Build the collapsible layer panel from the layer registry
+  setupLayerPanel: function() {
+    const panel = document.getElementById('layer-panel');
+    if (!panel) return;
+    
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'control-button layer-panel-toggle';
+    toggleButton.title = 'Layers';
+    toggleButton.textContent = '🗂️';
+    toggleButton.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+    });
+    
+    const body = document.createElement('div');
+    body.className = 'layer-panel-body';
+    
+    // Base maps: one radio button each
+    MAP_CONFIG.basemaps.forEach(definition => {
+      const row = document.createElement('label');
+      row.className = 'layer-panel-row basemap-row';
+      row.title = definition.label;
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'basemap';
+      radio.value = definition.name;
+      radio.checked = MapSetup.activeBasemap === definition.name;
+      radio.addEventListener('change', () => {
+        MapSetup.setBasemap(definition.name, true);
+      });
+      
+      row.appendChild(radio);
+      row.appendChild(document.createTextNode(` ${definition.icon || ''} ${definition.label}`));
+      body.appendChild(row);
+    });
+    
+    const divider = document.createElement('hr');
+    divider.className = 'layer-panel-divider';
+    body.appendChild(divider);
+    
+    MAP_CONFIG.layers.filter(definition => definition.inPanel !== false).forEach(definition => {
+      const row = document.createElement('label');
+      row.className = 'layer-panel-row';
+      row.dataset.layer = definition.name;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.layer = definition.name;
+      checkbox.checked = !!this.controlStates[definition.name];
+      checkbox.addEventListener('change', () => {
+        this.toggleOverlay(definition.name);
+      });
+      
+      const shortcut = definition.shortcut ? ` (${definition.shortcut.toUpperCase()})` : '';
+      row.title = `${definition.label}${shortcut}`;
+      row.appendChild(checkbox);
+      row.appendChild(document.createTextNode(` ${definition.icon || ''} ${definition.label}`));
+      body.appendChild(row);
+    });
+    
+    panel.appendChild(toggleButton);
+    panel.appendChild(body);
+    
+    // Dim layers that are switched on but outside their zoom range
+    MapSetup.map.on('zoomend', () => this.syncLayerPanel());
+    
+    // Tile failover can change the base map without a click
+    MapSetup.onBasemapChange(name => {
+      body.querySelectorAll('input[name="basemap"]').forEach(radio => {
+        radio.checked = radio.value === name;
+        radio.parentNode.classList.toggle('basemap-failed', !!MapSetup.failedBasemaps[radio.value]);
+      });
+    });
+  },
+  
+  // Toggle an overlay and keep the panel in sync
+  toggleOverlay: function(name) {
+    const definition = MapSetup.getLayerDefinition(name);
+    if (!definition) return false;
+    
+    const isEnabled = definition.type === 'route' ? CubeTracker.toggleRoute(name) : MapSetup.toggleLayer(name);
+    this.controlStates[name] = isEnabled;
+    this.syncLayerPanel();
+    return isEnabled;
+  },
+  
+  // Reflect controlStates in the panel checkboxes
+  syncLayerPanel: function() {
+    document.querySelectorAll('#layer-panel .layer-panel-row[data-layer]').forEach(row => {
+      const name = row.dataset.layer;
+      row.querySelector('input').checked = !!this.controlStates[name];
+      row.classList.toggle('out-of-zoom', !MapSetup.isLayerInZoomRange(name));
+    });
+  },
+  
   // Setup status panel updates
   setupStatusPanel: function() {
     // Register for data callbacks
     MapData.onLocationUpdate(this.updateLocationDisplay.bind(this));
     MapData.onStatusChange(this.updateStatusIndicator.bind(this));
     MapData.onError(this.showError.bind(this));
+    MapData.onPresenceChange(this.updatePresence.bind(this));
+    MapData.onScheduleChange(this.updateCountdown.bind(this));
+    
+    // Re-render the address once the street grid has been indexed
+    MapUtils.brcUtils.onIndexReady(() => {
+      const currentLocation = MapData.getCurrentLocation(this.selectedDevice);
+      if (currentLocation) {
+        this.updateLocationDisplay(currentLocation);
+      }
+    });
     
     // Update display every 30 seconds
     setInterval(() => {
       this.updateTimeDisplay();
+      this.updateDevicePicker();
     }, 30000);
+    
+    setInterval(() => this.updateCountdown(), 1000);
+  },
+  
+  // Device picker: choose which device the panel shows, and follow it around the map.
+  // Hidden when there's only one device.
+  setupDevicePicker: function() {
+    const picker = document.getElementById('device-picker');
+    const select = document.getElementById('device-select');
+    const followButton = document.getElementById('follow-button');
+    if (!picker || !select) return;
+    
+    MapData.getDevices().forEach(device => {
+      const option = document.createElement('option');
+      option.value = device.id;
+      option.style.color = device.color;
+      select.appendChild(option);
+    });
+    select.value = this.selectedDevice;
+    select.addEventListener('change', () => this.selectDevice(select.value));
+    
+    if (followButton) {
+      followButton.addEventListener('click', () => this.toggleFollow());
+      CubeTracker.onFollowChange(deviceId => this.updateButtonState(followButton, deviceId !== null));
+    }
+    
+    MapData.onLocationUpdate(() => this.updateDevicePicker());
+    MapData.onError(() => this.updateDevicePicker());
+    
+    picker.style.display = MapData.getDevices().length > 1 ? '' : 'none';
+    this.updateDevicePicker();
+  },
+  
+  // Option text: icon, name, and how recent the device's fix is
+  updateDevicePicker: function() {
+    document.querySelectorAll('#device-select option').forEach(option => {
+      const device = MapData.getDevice(option.value);
+      const location = MapData.getCurrentLocation(device.id);
+      const status = MapData.getDeviceStatus(device.id);
+      
+      let detail = status;
+      if (location && status !== 'error') {
+        detail = MapUtils.formatAge(Date.now() - LocationValidator.fixTime(location));
+      }
+      option.textContent = `${device.icon} ${device.name} · ${detail}`;
+    });
+  },
+  
+  // Show a device in the status panel and center on it (following moves along to it)
+  selectDevice: function(deviceId) {
+    if (!MapData.getDevice(deviceId)) return false;
+    this.selectedDevice = deviceId;
+    
+    const select = document.getElementById('device-select');
+    if (select) select.value = deviceId;
+    
+    if (CubeTracker.following) {
+      CubeTracker.follow(deviceId);
+    } else {
+      CubeTracker.centerOnCube(null, deviceId);
+    }
+    
+    this.hideError();
+    const currentLocation = MapData.getCurrentLocation(deviceId);
+    if (currentLocation) {
+      this.updateLocationDisplay(currentLocation);
+    } else {
+      ['coordinates', 'context', 'update-time'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = '';
+      });
+      const locationTextEl = document.getElementById('location-text');
+      if (locationTextEl) locationTextEl.textContent = 'Waiting for a fix...';
+    }
+    return true;
+  },
+  
+  // Start or stop following the selected device
+  toggleFollow: function() {
+    CubeTracker.follow(CubeTracker.following ? null : this.selectedDevice);
+    return CubeTracker.following !== null;
+  },
+  
+  // Setup the BRC address search box
+  setupAddressSearch: function() {
+    const searchForm = document.getElementById('address-search');
+    const searchInput = document.getElementById('address-input');
+    if (!searchForm || !searchInput) return;
+    
+    searchForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.goToAddress(searchInput.value);
+    });
+  },
+  
+  // Resolve an address ("7:15 & E", "9:00 Portal", "Temple") and fly to it
+  goToAddress: function(text) {
+    const resultEl = document.getElementById('search-result');
+    const result = MapUtils.brcUtils.resolveAddress(text);
+    
+    if (!result) {
+      if (resultEl) resultEl.textContent = `No match for "${text}"`;
+      return false;
+    }
+    
+    MapSetup.showSearchPin(result.lat, result.lng, result.label);
+    
+    if (resultEl) {
+      const confidence = Math.round(result.confidence * 100);
+      resultEl.textContent = `${result.label} (${confidence}% confidence)`;
+    }
+    
+    MapUtils.log(`Address "${text}" resolved to ${result.label}`, result);
+    return true;
   },
   
   // Update button visual state
@@ -98,14 +303,19 @@ window.MapControls = {
     }, 300);
   },
   
-  // Update location display in status panel
+  // Update location display in status panel (only for the selected device)
   updateLocationDisplay: function(locationData) {
+    if (locationData._device !== this.selectedDevice) return;
+    
     const locationTextEl = document.getElementById('location-text');
     const coordinatesEl = document.getElementById('coordinates');
     const contextEl = document.getElementById('context');
+    const brcLocation = MapUtils.brcUtils.geocode(locationData.lat, locationData.lng);
     
     if (locationTextEl) {
-      if (locationData.address) {
+      if (brcLocation) {
+        locationTextEl.textContent = brcLocation.address;
+      } else if (locationData.address) {
         locationTextEl.textContent = locationData.address;
       } else {
         locationTextEl.textContent = `${locationData.lat.toFixed(6)}, ${locationData.lng.toFixed(6)}`;
@@ -121,9 +331,10 @@ window.MapControls = {
     }
     
     if (contextEl) {
-      let contextText = '';
+      let contextText = MapUtils.brcUtils.describeLocation(brcLocation);
       
       if (locationData.closest_landmark) {
+        if (contextText) contextText += ' • ';
         contextText += locationData.closest_landmark;
       }
       
@@ -148,7 +359,7 @@ window.MapControls = {
     
     if (statusIndicator) {
       // Remove all status classes
-      statusIndicator.classList.remove('status-online', 'status-offline', 'status-loading');
+      statusIndicator.classList.remove('status-online', 'status-offline', 'status-loading', 'status-static', 'status-degraded');
       
       // Add current status class
       statusIndicator.classList.add(MapData.getStatusClass());
@@ -162,11 +373,24 @@ window.MapControls = {
     }
   },
   
-  // Show error message
+  // What to tell people for each kind of failed request (see MapData.fetchError)
+  errorMessages: {
+    timeout: 'The server is taking too long to answer. The uplink may be slow; still trying.',
+    network: 'Cannot reach the tracker server. Check your connection.',
+    http_4xx: 'The tracker server turned the request down.',
+    http_5xx: 'The tracker server is having trouble. Trying again shortly.',
+    bad_json: 'The tracker server sent an unreadable answer.',
+    upstream: 'The tracker server cannot reach the cube right now.'
+  },
+  
+  // Show error message (another device's errors only show in the picker)
   showError: function(error) {
+    if (error.device && error.device !== this.selectedDevice) return;
+    
     const errorEl = document.getElementById('error-message');
     if (errorEl) {
-      errorEl.textContent = error.message || 'Unknown error';
+      errorEl.textContent = this.errorMessages[error.kind] || error.message || 'Unknown error';
+      errorEl.title = error.message || '';
       errorEl.style.display = 'block';
     }
   },
@@ -182,7 +406,7 @@ window.MapControls = {
   // Update time display
   updateTimeDisplay: function() {
     const timeEl = document.getElementById('update-time');
-    const lastUpdate = MapData.getLastUpdate();
+    const lastUpdate = MapData.getLastUpdate(this.selectedDevice);
     
     if (timeEl && lastUpdate) {
       const timeText = MapUtils.formatTimestamp(lastUpdate.toISOString());
@@ -190,58 +414,86 @@ window.MapControls = {
     }
   },
   
-  // Set initial button states
-  setInitialStates: function() {
-    // Set landmarks as initially active
-    const landmarksToggle = document.getElementById('landmarks-toggle');
-    if (landmarksToggle) {
-      this.updateButtonState(landmarksToggle, this.controlStates.landmarks);
-    }
+  // "Next update in 1:42" while polling; hidden for streams and static data
+  updateCountdown: function() {
+    const countdownEl = document.getElementById('next-update');
+    if (!countdownEl) return;
     
-    // Set other controls as inactive
-    const routeToggle = document.getElementById('route-toggle');
-    if (routeToggle) {
-      this.updateButtonState(routeToggle, this.controlStates.route);
+    const nextUpdate = MapData.getNextUpdate();
+    if (nextUpdate == null) {
+      countdownEl.style.display = 'none';
+      return;
     }
     
-    const streetsToggle = document.getElementById('streets-toggle');
-    if (streetsToggle) {
-      this.updateButtonState(streetsToggle, this.controlStates.streets);
+    const remaining = nextUpdate - Date.now();
+    countdownEl.textContent = remaining > 0 ? `Next update in ${MapUtils.formatCountdown(remaining)}` : 'Updating...';
+    countdownEl.style.display = 'block';
+  },
+  
+  // Show how many people are watching (hidden when the transport can't tell)
+  updatePresence: function(watchers) {
+    const presenceEl = document.getElementById('presence');
+    if (!presenceEl) return;
+    
+    if (watchers == null) {
+      presenceEl.style.display = 'none';
+      return;
     }
+    
+    presenceEl.textContent = `👀 ${watchers} ${watchers === 1 ? 'person' : 'people'} watching the cube`;
+    presenceEl.style.display = 'block';
+  },
+  
+  // Set initial button states
+  setInitialStates: function() {
+    // Route layers declared visible are switched on through CubeTracker
+    MAP_CONFIG.layers
+      .filter(definition => definition.type === 'route' && definition.visible && !CubeTracker.isRouteShown(definition.name))
+      .forEach(definition => CubeTracker.toggleRoute(definition.name));
+    
+    this.syncLayerPanel();
   },
   
-  // Handle keyboard shortcuts
+  // Handle keyboard shortcuts: C, F and M are fixed, layer keys come from the registry
   setupKeyboardShortcuts: function() {
+    const layerKeys = {};
+    MAP_CONFIG.layers.filter(definition => definition.shortcut).forEach(definition => {
+      const key = definition.shortcut.toLowerCase();
+      if (['c', 'f', 'm'].includes(key) || layerKeys[key]) {
+        MapUtils.error(`Keyboard shortcut "${key}" for ${definition.name} is already taken`);
+        return;
+      }
+      layerKeys[key] = definition.name;
+    });
+    
     document.addEventListener('keydown', (event) => {
       // Only handle if not typing in an input
-      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.tagName === 'SELECT') {
         return;
       }
       
-      switch(event.key.toLowerCase()) {
+      const key = event.key.toLowerCase();
+      switch(key) {
         case 'c':
-          // Center on cube
-          CubeTracker.centerOnCube(16);
-          break;
-        case 'r':
-          // Toggle route
-          document.getElementById('route-toggle')?.click();
-          break;
-        case 'l':
-          // Toggle landmarks
-          document.getElementById('landmarks-toggle')?.click();
+          // Center on the selected device
+          CubeTracker.centerOnCube(16, this.selectedDevice);
           break;
-        case 's':
-          // Toggle streets
-          document.getElementById('streets-toggle')?.click();
+        case 'f':
+          // Follow the selected device
+          this.toggleFollow();
           break;
         case 'm':
           // Center on Man (Golden Spike)
           document.getElementById('compass-button')?.click();
           break;
+        default:
+          if (layerKeys[key]) {
+            this.toggleOverlay(layerKeys[key]);
+          }
       }
     });
     
-    MapUtils.log('Keyboard shortcuts enabled: C=Center, R=Route, L=Landmarks, S=Streets, M=Man');
+    const layerHelp = Object.keys(layerKeys).map(key => `${key.toUpperCase()}=${layerKeys[key]}`).join(', ');
+    MapUtils.log(`Keyboard shortcuts enabled: C=Center, F=Follow, M=Man, ${layerHelp}`);
   }
 };
\ No newline at end of file
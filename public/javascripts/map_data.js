@@ -1,18 +1,55 @@
 // Data management for external cube tracker
-// Handles API communication with main GlitchCube app
+// One MapData for every deployment: location cache, history, localStorage persistence and
+// callbacks live here; how locations arrive is up to a transport (see map_transports.js).
+// Each device in MAP_CONFIG.devices has its own last location, history and status; a fix
+// names its device with `device` (fixes without one belong to the first device).
+//
+// Lifecycle: start() -> pause()/resume() (automatic on hidden tab) -> refresh() -> stop()
+// Going offline and back (the browser's online/offline events) refreshes right away.
 
 window.MapData = {
+  config: {
+    // Storage configuration
+    storageKey: 'glitchcube_cache',
+    historyUrl: '/api/cube_history',
+    requestTimeoutMs: 15000, // A hung request on the playa uplink counts as failed after this
+    
+    // Data staleness thresholds
+    staleThresholdMs: 10 * 60 * 1000,       // 10 minutes
+    expiredThresholdMs: 24 * 60 * 60 * 1000, // 24 hours
+    
+    // Polling slows down this much on save-data or 2g connections
+    constrainedNetworkFactor: 3,
+    
+    // Colors for devices that don't set their own, in MAP_CONFIG.devices order
+    deviceColors: ['#4ecdc4', '#ff6b6b', '#ffd166', '#a78bfa', '#45b7d1', '#f39c12']
+  },
+  
+  // Transports keyed by name, registered by map_transports.js
+  transports: {},
+  transport: null,
+  running: false,
+  paused: false,
+  backfilling: null, // Promise while a history backfill runs
+  backfillDue: true, // Set at startup and while disconnected; the next 'online' backfills
+  etags: {}, // ETag of the last body from each conditionally fetched URL
+  devices: null, // Device definitions, see getDevices()
+  
   cache: {
-    lastLocation: null,
-    locationHistory: [],
-    lastUpdate: null,
-    apiStatus: 'connecting'
+    devices: {}, // Per device id: { lastLocation, lastUpdate, error }
+    apiStatus: 'connecting',
+    watchers: null, // People watching, from transports that know (websocket)
+    nextUpdate: null, // When a polling transport fetches next (ms), null when it doesn't poll
+    rejected: { total: 0, reasons: {} } // Fixes turned down by LocationValidator
   },
   
   callbacks: {
     onLocationUpdate: [],
     onStatusChange: [],
-    onError: []
+    onError: [],
+    onPresenceChange: [],
+    onHistoryUpdate: [],
+    onScheduleChange: []
   },
   
   // Register callback functions
@@ -28,79 +65,355 @@ window.MapData = {
     this.callbacks.onError.push(callback);
   },
   
-  // Fetch current cube location from API
-  fetchCubeLocation: function() {
-    MapUtils.log('Fetching cube location...');
+  onPresenceChange: function(callback) {
+    this.callbacks.onPresenceChange.push(callback);
+  },
+  
+  onHistoryUpdate: function(callback) {
+    this.callbacks.onHistoryUpdate.push(callback);
+  },
+  
+  onScheduleChange: function(callback) {
+    this.callbacks.onScheduleChange.push(callback);
+  },
+  
+  // A transport delivers locations to MapData:
+  //   start(mapData) - begin delivering; call mapData.handleLocationUpdate(data, source),
+  //                    mapData.handleError(error) and mapData.setApiStatus(status)
+  //   stop()         - stop delivering (also used to pause)
+  //   refresh()      - optional, fetch right now
+  //   describe()     - optional, one line for logs and diagnostics
+  // Transports that know how many people are watching report it with mapData.setPresence(count);
+  // transports that poll report their next fetch with mapData.setNextUpdate(time).
+  registerTransport: function(name, transport) {
+    this.transports[name] = transport;
+  },
+  
+  // Devices on the map: MAP_CONFIG.devices entries ({ id, name, color, icon }) with defaults
+  // filled in, or a single GlitchCube. The first one is the default device.
+  getDevices: function() {
+    if (this.devices) return this.devices;
     
-    this.setApiStatus('loading');
+    const list = MAP_CONFIG.devices && MAP_CONFIG.devices.length ? MAP_CONFIG.devices : [{ id: 'cube', name: 'GlitchCube' }];
+    this.devices = list.map((device, index) => Object.assign({
+      name: device.id,
+      color: this.config.deviceColors[index % this.config.deviceColors.length],
+      icon: '🎲'
+    }, device));
     
-    fetch('/api/cube_location')
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    this.devices.forEach(device => {
+      this.cache.devices[device.id] = { lastLocation: null, lastUpdate: null, error: null };
+    });
+    return this.devices;
+  },
+  
+  getDevice: function(deviceId) {
+    return this.getDevices().find(device => device.id === deviceId) || null;
+  },
+  
+  // Device id for a fix or error: its own, the default device when it names none, or null
+  // for a device this map doesn't know
+  deviceId: function(data) {
+    if (data.device == null) return this.getDevices()[0].id;
+    return this.getDevice(data.device) ? data.device : null;
+  },
+  
+  // The default device keeps the original history database; others get their own
+  historyFor: function(deviceId) {
+    return deviceId === this.getDevices()[0].id ? LocationHistory : LocationHistory.forDevice(deviceId);
+  },
+  
+  // An API URL for one device: ?device= is only added when there's more than one, so
+  // single-device servers see the same requests as before. Null query values are left out.
+  deviceUrl: function(url, deviceId, query = {}) {
+    const params = new URLSearchParams();
+    if (this.getDevices().length > 1) {
+      params.set('device', deviceId);
+    }
+    Object.keys(query).filter(key => query[key] != null).forEach(key => params.set(key, query[key]));
+    
+    const search = params.toString();
+    return search ? `${url}?${search}` : url;
+  },
+  
+  // MAP_CONFIG.transport, or static data for GitHub Pages and the live stream for Sinatra
+  selectTransport: function() {
+    const isStatic = MAP_CONFIG.staticMode || window.STATIC_MODE;
+    const name = MAP_CONFIG.transport || (isStatic ? 'static' : 'sse');
+    
+    if (!this.transports[name]) {
+      MapUtils.error(`Unknown transport "${name}", falling back to polling`);
+      return this.transports.polling;
+    }
+    return this.transports[name];
+  },
+  
+  // Restore the last saved location, then start the transport
+  start: function() {
+    if (this.running) return;
+    
+    this.getDevices().forEach(device => this.historyFor(device.id).open());
+    this.loadFromStorage();
+    
+    // Only one tab talks to the API; the others get its updates (see tab_coordinator.js)
+    this.transport = TabCoordinator.wrap(this.selectTransport());
+    this.running = true;
+    this.paused = false;
+    
+    MapUtils.log(`Starting location updates: ${this.describeTransport()}`);
+    this.transport.start(this);
+    
+    // Don't poll from a background tab; catch up as soon as it's visible again
+    if (!this.visibilityHandler) {
+      this.visibilityHandler = () => {
+        if (document.hidden) {
+          this.pause();
+        } else {
+          this.resume();
         }
-        return response.json();
-      })
-      .then(data => {
-        this.handleLocationUpdate(data);
-      })
-      .catch(error => {
-        this.handleError(error);
-      });
+      };
+      document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
+    
+    // Fetch as soon as the connection is back instead of waiting out a slowed-down interval
+    if (!this.connectivityHandler) {
+      this.connectivityHandler = () => this.handleConnectivityChange();
+      window.addEventListener('online', this.connectivityHandler);
+      window.addEventListener('offline', this.connectivityHandler);
+      
+      if (navigator.connection) {
+        navigator.connection.addEventListener('change', () => {
+          MapUtils.log(`Network changed: ${JSON.stringify(this.describeNetwork())}`);
+        });
+      }
+    }
+  },
+  
+  stop: function() {
+    if (!this.running) return;
+    
+    this.transport.stop();
+    this.running = false;
+    this.paused = false;
+    MapUtils.log('Location updates stopped');
+  },
+  
+  pause: function() {
+    if (!this.running || this.paused) return;
+    
+    this.transport.stop();
+    this.paused = true;
+    this.backfillDue = true; // Fixes recorded while hidden only reach us through the history
+    MapUtils.log('Page hidden - location updates paused');
+  },
+  
+  resume: function() {
+    if (!this.running || !this.paused) return;
+    
+    this.paused = false;
+    MapUtils.log('Page visible - location updates resumed');
+    this.transport.start(this);
+  },
+  
+  // Manual refresh (refresh button)
+  refresh: function() {
+    if (!this.transport || !this.transport.refresh) {
+      MapUtils.log('Manual refresh not available for this transport');
+      return false;
+    }
+    
+    MapUtils.log('Manual refresh triggered');
+    this.transport.refresh();
+    return true;
   },
   
-  // Handle successful location update
-  handleLocationUpdate: function(data) {
-    MapUtils.log('Location update received:', data);
+  // The browser's online and offline events; other tabs hear about it from the leader
+  handleConnectivityChange: function() {
+    if (!this.running || this.paused || TabCoordinator.role === 'follower') return;
     
-    if (data.error) {
-      this.handleError(new Error(data.message || data.error));
+    if (this.isOnline()) {
+      MapUtils.log('Connection restored - fetching now');
+      if (this.transport.refresh) {
+        this.transport.refresh();
+      }
+    } else {
+      MapUtils.log('Connection lost - no fetches until it is back');
+      this.setApiStatus('offline');
+    }
+  },
+  
+  // False only when the browser is sure there's no network (navigator.onLine can't be
+  // trusted the other way)
+  isOnline: function() {
+    return navigator.onLine !== false;
+  },
+  
+  // How much less often to poll: constrainedNetworkFactor on save-data or 2g connections
+  // (Network Information API, where the browser has it), otherwise 1
+  networkFactor: function() {
+    const connection = navigator.connection;
+    if (connection && (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType))) {
+      return this.config.constrainedNetworkFactor;
+    }
+    return 1;
+  },
+  
+  describeNetwork: function() {
+    const connection = navigator.connection || {};
+    return {
+      online: this.isOnline(),
+      effectiveType: connection.effectiveType || null,
+      saveData: !!connection.saveData
+    };
+  },
+  
+  describeTransport: function() {
+    if (!this.transport) return 'not started';
+    return this.transport.describe ? this.transport.describe() : this.transport.name;
+  },
+  
+  // Handle a location from any source: 'api', 'static' or 'storage'. Build-time demo data
+  // (source: 'fallback' from inject-data.cjs) is tagged _source 'fallback'.
+  handleLocationUpdate: function(data, source = 'api') {
+    MapUtils.log(`Location update received from ${source}:`, data);
+    
+    const deviceId = this.deviceId(data);
+    if (!deviceId) {
+      MapUtils.log(`Ignoring location for unknown device "${data.device}"`);
+      return;
+    }
+    const device = this.cache.devices[deviceId];
+    
+    // Polling again before the cube reports gets the same fix back; nothing to draw or record
+    if (source === 'api' && this.isRepeat(data, device.lastLocation)) {
+      MapUtils.log(`No new fix for ${deviceId}`);
+      this.confirmLocation(deviceId, data);
       return;
     }
     
-    // Validate required fields
-    if (!data.lat || !data.lng) {
-      this.handleError(new Error('Invalid location data: missing coordinates'));
+    // Build-time fallback data, or the Sinatra proxy passing on the cube's API failing
+    if (data.error && !data.lat) {
+      const error = this.fetchError('upstream', data.message || data.error);
+      error.device = deviceId;
+      this.handleError(error);
+      return;
+    }
+    
+    // Bad coordinates, impossible jumps and the like never reach the map
+    const rejection = LocationValidator.check(data, source === 'storage' ? null : device.lastLocation, deviceId);
+    if (rejection) {
+      this.rejectFix(data, source, rejection);
+      this.setStatusFor(source, data);
       return;
     }
     
     // Log cache information if present
-    if (data.cached !== undefined) {
-      if (data.cached) {
-        MapUtils.log(`Using cached data (age: ${data.cache_age}s, expires in: ${data.cache_expires_in}s)`);
-        if (data.stale) {
-          MapUtils.log('Cache is stale but API failed, using stale cache');
-        }
-      } else {
-        MapUtils.log('Fresh data fetched from API');
+    if (data.cached) {
+      MapUtils.log(`Using cached data (age: ${data.cache_age}s, expires in: ${data.cache_expires_in}s)`);
+      if (data.offline) {
+        MapUtils.log('Server unreachable, using last location cached by the service worker');
+      } else if (data.stale) {
+        MapUtils.log(`Cache is stale but API failed (${data.api_error}), using stale cache`);
       }
     }
     
+    // Add metadata about data source and age
+    const enrichedData = {
+      ...data,
+      _source: source === 'static' && data.source === 'fallback' ? 'fallback' : source,
+      _device: deviceId,
+      _receivedAt: source === 'storage' && data._receivedAt ? data._receivedAt : new Date().toISOString(),
+      _isStale: this.isDataStale(data),
+      _isExpired: this.isDataExpired(data)
+    };
+    
     // Update cache
-    this.cache.lastLocation = data;
-    this.cache.lastUpdate = new Date();
-    this.setApiStatus('online');
+    device.lastLocation = enrichedData;
+    device.lastUpdate = new Date(enrichedData._receivedAt);
+    device.error = null;
     
-    // Add to history (only if not stale cached data)
-    if (!data.stale) {
-      this.addToHistory(data);
+    this.setStatusFor(source, data);
+    
+    // Add to history (only for fresh data). Other tabs redraw their routes from the shared
+    // store once the fix is in it.
+    if (source !== 'storage' && !enrichedData._isStale && !data.stale) {
+      this.addToHistory(enrichedData).then(added => {
+        if (added) {
+          TabCoordinator.broadcast({ type: 'history', added: 1, device: deviceId, from: LocationValidator.fixTime(enrichedData) });
+        }
+      });
     }
     
-    // Notify callbacks
+    this.notifyLocationUpdate(enrichedData);
+    
+    if (source !== 'storage') {
+      this.saveToStorage();
+    }
+  },
+  
+  // A fix the leader tab already validated, stored and saved (see tab_coordinator.js); this
+  // tab only needs it in its cache and on its map
+  applyRelayedLocation: function(location) {
+    const device = this.cache.devices[location._device];
+    if (!device) return;
+    
+    device.lastLocation = location;
+    device.lastUpdate = new Date(location._receivedAt);
+    device.error = null;
+    
+    this.notifyLocationUpdate(location);
+  },
+  
+  notifyLocationUpdate: function(location) {
     this.callbacks.onLocationUpdate.forEach(callback => {
       try {
-        callback(data);
+        callback(location);
       } catch (error) {
         MapUtils.error('Error in location update callback:', error);
       }
     });
   },
   
-  // Handle API errors
+  // The API answered for a device without a new fix (a 304, or the same fix again): its last
+  // fix is still current, so an earlier failure for it no longer applies
+  confirmLocation: function(deviceId, data = {}) {
+    this.cache.devices[deviceId].error = null;
+    this.setStatusFor('api', data);
+  },
+  
+  // The same live fix as last time, in the same cache state
+  isRepeat: function(data, previous) {
+    return !!previous && previous._source === 'api' &&
+      data.lat === previous.lat && data.lng === previous.lng && data.timestamp === previous.timestamp &&
+      !!data.stale === !!previous.stale && !!data.offline === !!previous.offline;
+  },
+  
+  // Restored data says nothing about the connection; offline means the service worker answered
+  setStatusFor: function(source, data) {
+    if (source === 'static') {
+      this.setApiStatus('static');
+    } else if (source === 'api') {
+      this.setApiStatus(data.offline ? 'offline' : 'online');
+    }
+  },
+  
+  // Log and count a fix LocationValidator turned down
+  rejectFix: function(data, source, rejection) {
+    const rejected = this.cache.rejected;
+    rejected.total++;
+    rejected.reasons[rejection.reason] = (rejected.reasons[rejection.reason] || 0) + 1;
+    
+    MapUtils.log(`Rejected fix from ${source}: ${rejection.reason} (${rejection.detail})`, data);
+  },
+  
+  // Handle API errors (the transport decides what they mean for apiStatus). An error with
+  // a `device` id only concerns that device.
   handleError: function(error) {
     MapUtils.error('API Error:', error);
     
-    this.setApiStatus('offline');
+    if (error.device && this.cache.devices[error.device]) {
+      this.cache.devices[error.device].error = error.message;
+    }
     
     // Notify error callbacks
     this.callbacks.onError.forEach(callback => {
@@ -117,6 +430,18 @@ window.MapData = {
     const oldStatus = this.cache.apiStatus;
     this.cache.apiStatus = status;
     
+    if (status === 'offline' || status === 'degraded') {
+      this.backfillDue = true;
+    }
+    
+    // Startup or a real reconnect, not every poll: fetch whatever the server recorded while we
+    // weren't listening. Other tabs share the history store, so only the one fetching
+    // locations backfills.
+    if (status === 'online' && this.backfillDue && TabCoordinator.role !== 'follower') {
+      this.backfillDue = false;
+      this.backfillHistory();
+    }
+    
     if (oldStatus !== status) {
       MapUtils.log(`API status changed: ${oldStatus} -> ${status}`);
       
@@ -130,37 +455,319 @@ window.MapData = {
     }
   },
   
-  // Add location to history
+  // Set the watcher count (null when unknown) and notify callbacks
+  setPresence: function(watchers) {
+    if (watchers === this.cache.watchers) return;
+    this.cache.watchers = watchers;
+    
+    this.callbacks.onPresenceChange.forEach(callback => {
+      try {
+        callback(watchers);
+      } catch (error) {
+        MapUtils.error('Error in presence change callback:', error);
+      }
+    });
+  },
+  
+  // Set when the next fetch is due (ms since epoch, null for none) and notify callbacks
+  setNextUpdate: function(time) {
+    if (time === this.cache.nextUpdate) return;
+    this.cache.nextUpdate = time;
+    
+    this.callbacks.onScheduleChange.forEach(callback => {
+      try {
+        callback(time);
+      } catch (error) {
+        MapUtils.error('Error in schedule change callback:', error);
+      }
+    });
+  },
+  
+  // Merge fixes from /api/cube_history into each device's history store, following truncated
+  // pages. Resolves with the number of new fixes; a server without the endpoint just means no backfill.
+  backfillHistory: function() {
+    if (this.backfilling) return this.backfilling;
+    
+    this.backfilling = Promise.all(this.getDevices().map(device => this.backfillDevice(device.id)))
+      .then(counts => counts.reduce((sum, count) => sum + count, 0))
+      .finally(() => {
+        this.backfilling = null;
+      });
+    
+    return this.backfilling;
+  },
+  
+  backfillDevice: function(deviceId) {
+    const history = this.historyFor(deviceId);
+    let oldest = null; // Earliest fix on the first page that added any, for onHistoryUpdate
+    
+    const fetchPage = (since, total) => {
+      const url = this.deviceUrl(this.config.historyUrl, deviceId, {
+        since: since ? new Date(since).toISOString() : null
+      });
+      
+      return this.fetchJson(url)
+        .then(page => history.addAll(this.validHistory(page.fixes, deviceId)).then(added => {
+          const last = page.fixes[page.fixes.length - 1];
+          if (added > 0 && oldest === null) {
+            oldest = Date.parse(page.fixes[0].timestamp) || null;
+          }
+          
+          if (page.truncated && last) {
+            history.markSynced(Date.parse(last.timestamp));
+            return fetchPage(Date.parse(last.timestamp), total + added);
+          }
+          history.markSynced(Date.parse(page.until));
+          return total + added;
+        }));
+    };
+    
+    return history.open()
+      .then(() => fetchPage(history.syncedTo, 0))
+      .then(added => {
+        MapUtils.log(`History backfill for ${deviceId}: ${added} new fixes`);
+        if (added > 0) {
+          this.notifyHistoryUpdate(added, deviceId, oldest);
+        }
+        return added;
+      })
+      .catch(error => {
+        MapUtils.log(`History backfill unavailable for ${deviceId} (${error.message})`);
+        return 0;
+      });
+  },
+  
+  // GET a JSON API URL, giving up after requestTimeoutMs. Resolves with the parsed body;
+  // rejects with a fetchError().
+  fetchJson: function(url) {
+    return this.fetchResponse(url).then(result => result.data);
+  },
+  
+  // fetchJson() that also resolves with the response, for its headers: { data, response }.
+  // With conditional, the URL's last ETag goes out as If-None-Match and a 304 resolves with
+  // { data: null, response, notModified: true }.
+  fetchResponse: function(url, conditional = false) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.requestTimeoutMs);
+    
+    // The abort can land while the body is still arriving, too
+    const classify = (error, kind) => error.name === 'AbortError'
+      ? this.fetchError('timeout', `No answer within ${this.config.requestTimeoutMs / 1000}s`)
+      : this.fetchError(kind, error.message);
+    
+    const headers = conditional && this.etags[url] ? { 'If-None-Match': this.etags[url] } : {};
+    
+    return fetch(url, { signal: controller.signal, headers: headers })
+      .catch(error => {
+        throw classify(error, 'network');
+      })
+      .then(response => {
+        if (response.status === 304 && headers['If-None-Match']) {
+          return { data: null, response: response, notModified: true };
+        }
+        if (!response.ok) {
+          const error = this.fetchError(response.status >= 500 ? 'http_5xx' : 'http_4xx', `HTTP ${response.status}: ${response.statusText}`, response.status);
+          error.retryAfterMs = this.retryAfterMs(response);
+          throw error;
+        }
+        // The service worker's offline answer has no ETag; forget the old one with it
+        if (conditional && response.headers.get('ETag')) {
+          this.etags[url] = response.headers.get('ETag');
+        } else if (conditional) {
+          delete this.etags[url];
+        }
+        return response.json().then(data => ({ data: data, response: response }), error => {
+          throw classify(error, 'bad_json');
+        });
+      })
+      .finally(() => clearTimeout(timer));
+  },
+  
+  // An Error for a failed request, with its kind: 'timeout', 'network' (DNS, refused, offline),
+  // 'http_4xx', 'http_5xx' (with the status), 'bad_json' or 'upstream' (the Sinatra proxy
+  // couldn't reach the cube). Transports retry by kind and MapControls words its message by it.
+  fetchError: function(kind, message, status = null) {
+    const error = new Error(message);
+    error.kind = kind;
+    if (status) {
+      error.status = status;
+    }
+    return error;
+  },
+  
+  // Retry-After (seconds or an HTTP date) in ms, 0 without one
+  retryAfterMs: function(response) {
+    const value = response.headers.get('Retry-After');
+    if (!value) return 0;
+    
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return ms > 0 ? ms : 0;
+  },
+  
+  // Cache-Control max-age in ms: asking again sooner gets the same answer. 0 without one.
+  maxAgeMs: function(response) {
+    const match = /max-age=(\d+)/.exec(response.headers.get('Cache-Control') || '');
+    return match ? Number(match[1]) * 1000 : 0;
+  },
+  
+  // Fixes were added to a device's history store outside the live updates; from is the time of
+  // the oldest (null when unknown)
+  notifyHistoryUpdate: function(added, deviceId, from = null) {
+    this.callbacks.onHistoryUpdate.forEach(callback => {
+      try {
+        callback(added, deviceId, from);
+      } catch (error) {
+        MapUtils.error('Error in history update callback:', error);
+      }
+    });
+  },
+  
+  // Backfilled fixes go through the same checks, each against the last one accepted
+  validHistory: function(fixes, deviceId = this.getDevices()[0].id) {
+    const accepted = [];
+    fixes.forEach(fix => {
+      const rejection = LocationValidator.check(fix, accepted[accepted.length - 1] || null, `history:${deviceId}`);
+      if (rejection) {
+        this.rejectFix(fix, 'history', rejection);
+      } else {
+        accepted.push(fix);
+      }
+    });
+    return accepted;
+  },
+  
+  // Add location to the history store (see location_history.js)
   addToHistory: function(locationData) {
     const historyEntry = {
       lat: locationData.lat,
       lng: locationData.lng,
       timestamp: locationData.timestamp || new Date().toISOString(),
       address: locationData.address,
-      context: locationData.context
+      context: locationData.context,
+      source: locationData._source || 'unknown'
     };
     
-    this.cache.locationHistory.push(historyEntry);
+    return this.historyFor(locationData._device).add(historyEntry);
+  },
+  
+  // Save data to localStorage
+  saveToStorage: function() {
+    if (!window.localStorage) return;
     
-    // Keep only last 100 points to prevent memory issues
-    if (this.cache.locationHistory.length > 100) {
-      this.cache.locationHistory = this.cache.locationHistory.slice(-100);
+    try {
+      const locations = {};
+      this.getDevices().forEach(device => {
+        locations[device.id] = this.cache.devices[device.id].lastLocation;
+      });
+      
+      const dataToStore = {
+        locations: locations,
+        savedAt: new Date().toISOString(),
+        version: '1.1'
+      };
+      
+      localStorage.setItem(this.config.storageKey, JSON.stringify(dataToStore));
+    } catch (error) {
+      MapUtils.error('Failed to save to localStorage:', error);
     }
   },
   
-  // Get current location
-  getCurrentLocation: function() {
-    return this.cache.lastLocation;
+  // Load data from localStorage
+  loadFromStorage: function() {
+    if (!window.localStorage) return false;
+    
+    try {
+      const stored = localStorage.getItem(this.config.storageKey);
+      if (!stored) {
+        MapUtils.log('No stored data found');
+        return false;
+      }
+      
+      const data = JSON.parse(stored);
+      
+      // Saves from before multiple devices hold the default device's location only
+      const locations = data.locations || { [this.getDevices()[0].id]: data.lastLocation };
+      
+      // Validate stored data
+      if (!data.version || !Object.values(locations).some(Boolean)) {
+        MapUtils.log('Invalid stored data format');
+        return false;
+      }
+      
+      // Check if data is too old
+      const ageMs = Date.now() - new Date(data.savedAt).getTime();
+      
+      if (ageMs > this.config.expiredThresholdMs) {
+        MapUtils.log(`Stored data too old (${Math.round(ageMs / 1000 / 60 / 60)}h), ignoring`);
+        return false;
+      }
+      
+      // Saves from before the history store carried the last 20 fixes; move them over
+      if (data.locationHistory) {
+        LocationHistory.addAll(data.locationHistory);
+      }
+      
+      this.getDevices()
+        .filter(device => locations[device.id])
+        .forEach(device => this.handleLocationUpdate(Object.assign({}, locations[device.id], { device: device.id }), 'storage'));
+      
+      MapUtils.log(`Loaded data from storage (saved ${Math.round(ageMs / 1000 / 60)}m ago)`);
+      return true;
+    } catch (error) {
+      MapUtils.error('Failed to load from localStorage:', error);
+      return false;
+    }
   },
   
-  // Get location history as coordinate array
-  getLocationHistory: function() {
-    return this.cache.locationHistory.map(entry => [entry.lat, entry.lng]);
+  // Check if data is stale
+  isDataStale: function(data) {
+    if (!data.timestamp) return false;
+    
+    const ageMs = Date.now() - new Date(data.timestamp).getTime();
+    return ageMs > this.config.staleThresholdMs;
   },
   
-  // Get location history with full data
-  getLocationHistoryFull: function() {
-    return this.cache.locationHistory.slice(); // Return copy
+  // Check if data is expired
+  isDataExpired: function(data) {
+    if (!data.timestamp) return false;
+    
+    const ageMs = Date.now() - new Date(data.timestamp).getTime();
+    return ageMs > this.config.expiredThresholdMs;
+  },
+  
+  // Fresh, stale or expired by the age of the fix (see config thresholds)
+  getAgeTier: function(data) {
+    const ageMs = Date.now() - LocationValidator.fixTime(data);
+    
+    if (ageMs > this.config.expiredThresholdMs) return 'expired';
+    if (ageMs > this.config.staleThresholdMs) return 'stale';
+    return 'fresh';
+  },
+  
+  // A device's status: 'waiting' before its first fix, 'error' when the last attempt to get
+  // its location failed, otherwise the age tier of its fix
+  getDeviceStatus: function(deviceId = this.getDevices()[0].id) {
+    const device = this.cache.devices[deviceId];
+    
+    if (device.error) return 'error';
+    if (!device.lastLocation) return 'waiting';
+    return this.getAgeTier(device.lastLocation);
+  },
+  
+  // Current location of a device (the default device if none is given)
+  getCurrentLocation: function(deviceId = this.getDevices()[0].id) {
+    const device = this.cache.devices[deviceId];
+    return device ? device.lastLocation : null;
+  },
+  
+  // Location history as [lat, lng] pairs, oldest first (Promise). Optional from/to limit the range.
+  getLocationHistory: function(from = null, to = null, deviceId = this.getDevices()[0].id) {
+    return this.getLocationHistoryFull(from, to, deviceId).then(history => history.map(entry => [entry.lat, entry.lng]));
+  },
+  
+  // Location history with full data (Promise)
+  getLocationHistoryFull: function(from = null, to = null, deviceId = this.getDevices()[0].id) {
+    return this.historyFor(deviceId).range(from, to);
   },
   
   // Get API status
@@ -168,46 +775,29 @@ window.MapData = {
     return this.cache.apiStatus;
   },
   
-  // Get last update time
-  getLastUpdate: function() {
-    return this.cache.lastUpdate;
+  // When the next poll is due (ms since epoch), null when the transport doesn't poll
+  getNextUpdate: function() {
+    return this.cache.nextUpdate;
   },
   
-  // Clear cache
-  clearCache: function() {
-    this.cache = {
-      lastLocation: null,
-      locationHistory: [],
-      lastUpdate: null,
-      apiStatus: 'connecting'
-    };
-    MapUtils.log('Cache cleared');
+  // Get last update time
+  getLastUpdate: function(deviceId = this.getDevices()[0].id) {
+    const device = this.cache.devices[deviceId];
+    return device ? device.lastUpdate : null;
   },
   
-  // Start periodic updates
-  startPeriodicUpdates: function(intervalMs) {
-    if (this.updateTimer) {
-      clearInterval(this.updateTimer);
-    }
-    
-    MapUtils.log(`Starting periodic updates every ${intervalMs}ms`);
-    
-    // Initial fetch
-    this.fetchCubeLocation();
+  // Clear cache, including localStorage
+  clearCache: function() {
+    this.getDevices().forEach(device => {
+      this.cache.devices[device.id] = { lastLocation: null, lastUpdate: null, error: null };
+      this.historyFor(device.id).clear();
+    });
     
-    // Set up periodic updates
-    this.updateTimer = setInterval(() => {
-      this.fetchCubeLocation();
-    }, intervalMs);
-  },
-  
-  // Stop periodic updates
-  stopPeriodicUpdates: function() {
-    if (this.updateTimer) {
-      clearInterval(this.updateTimer);
-      this.updateTimer = null;
-      MapUtils.log('Periodic updates stopped');
+    if (window.localStorage) {
+      localStorage.removeItem(this.config.storageKey);
     }
+    
+    MapUtils.log('Cache cleared');
   },
   
   // Format location for display
@@ -230,17 +820,21 @@ window.MapData = {
       display += `\n${locationData.context}`;
     }
     
-    // Add cache status
-    if (locationData.cached !== undefined) {
-      if (locationData.cached) {
-        if (locationData.stale) {
-          display += '\n🔸 Using stale cached data (API unavailable)';
-        } else {
-          display += `\n🟡 Cached data (${Math.round(locationData.cache_age)}s old)`;
-        }
+    // Add source and cache status
+    if (locationData._source === 'static') {
+      display += '\n🔸 Static data (GitHub Pages mode)';
+    } else if (locationData._source === 'storage') {
+      display += '\n🔸 Saved data (offline mode)';
+    } else if (locationData.offline) {
+      display += '\n📴 Offline - last known location';
+    } else if (locationData.cached) {
+      if (locationData.stale) {
+        display += '\n🔸 Using stale cached data (API unavailable)';
       } else {
-        display += '\n🟢 Fresh data';
+        display += `\n🟡 Cached data (${Math.round(locationData.cache_age)}s old)`;
       }
+    } else if (locationData.cached === false) {
+      display += '\n🟢 Fresh data';
     }
     
     return display;
@@ -251,8 +845,32 @@ window.MapData = {
     switch (this.cache.apiStatus) {
       case 'online': return 'status-online';
       case 'offline': return 'status-offline';
+      case 'static': return 'status-static';
+      case 'degraded': return 'status-degraded';
       case 'loading': return 'status-loading';
       default: return 'status-loading';
     }
+  },
+  
+  // Get diagnostic information
+  getDiagnostics: function() {
+    return {
+      transport: this.describeTransport(),
+      tab: TabCoordinator.role || 'solo',
+      network: this.describeNetwork(),
+      running: this.running,
+      paused: this.paused,
+      apiStatus: this.cache.apiStatus,
+      watchers: this.cache.watchers,
+      nextUpdate: this.cache.nextUpdate && new Date(this.cache.nextUpdate).toISOString(),
+      hasStoredData: !!window.localStorage && !!localStorage.getItem(this.config.storageKey),
+      devices: this.getDevices().map(device => ({
+        id: device.id,
+        status: this.getDeviceStatus(device.id),
+        historySize: this.historyFor(device.id).size,
+        lastUpdate: this.getLastUpdate(device.id)
+      })),
+      rejectedFixes: this.cache.rejected
+    };
   }
-};
\ No newline at end of file
+};
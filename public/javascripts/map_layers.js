@@ -0,0 +1,174 @@
+// Layer registry for external cube tracker
+// Every overlay is declared here; MapSetup and MapControls build layer groups,
+// lazy loading, the layer panel and keyboard shortcuts from this list.
+//
+// Fields:
+//   name      - layer group key (MapSetup.getLayer(name))
+//   label     - layer panel text, icon - layer panel emoji
+//   type      - 'geojson' (default), 'landmarks', 'grid', 'route' or 'estimate' (CubeTracker's ghost marker)
+//   track     - for 'route' layers: 'smoothed' (default, see route_smoother.js) or 'raw'
+//   dataset   - dataset name from the city geometry manifest
+//   style     - Leaflet path options (for route layers: the polyline); point - circleMarker options for Point features
+//   popup     - template with {Property} placeholders and {address}, or function(props, latlng)
+//   visible   - shown on load
+//   minZoom / maxZoom - only drawn within this zoom range
+//   shortcut  - keyboard key that toggles the layer
+//   inPanel   - false to keep the layer out of the layer panel
+
+window.MAP_CONFIG.layers = window.MAP_CONFIG.layers || [
+  {
+    name: 'boundaries',
+    label: 'Trash fence',
+    icon: '🚧',
+    dataset: 'trash_fence',
+    style: { color: '#ff6b6b', weight: 3, opacity: 0.8, fillOpacity: 0.1 },
+    visible: true,
+    inPanel: false
+  },
+  {
+    name: 'route',
+    label: 'Route history',
+    icon: '〰️',
+    type: 'route',
+    shortcut: 'r'
+  },
+  {
+    name: 'raw_route',
+    label: 'Raw GPS track',
+    icon: '📡',
+    type: 'route',
+    track: 'raw',
+    style: { color: '#ff6b6b', weight: 2, opacity: 0.7, dashArray: null },
+    shortcut: 'w'
+  },
+  {
+    name: 'estimate',
+    label: 'Estimated position',
+    icon: '👻',
+    type: 'estimate',
+    visible: true,
+    shortcut: 'e'
+  },
+  {
+    name: 'landmarks',
+    label: 'Landmarks',
+    icon: '🏛️',
+    type: 'landmarks',
+    dataset: 'burning_man_landmarks',
+    visible: true,
+    shortcut: 'l'
+  },
+  {
+    name: 'streets',
+    label: 'Streets',
+    icon: '🛣️',
+    dataset: 'street_lines',
+    style: { color: '#ffffff', weight: 2, opacity: 0.6 },
+    popup: '<strong>{name}</strong><br><em>{type}</em>',
+    minZoom: 14,
+    shortcut: 's'
+  },
+  {
+    name: 'grid',
+    label: 'Clock grid',
+    icon: '🕓',
+    type: 'grid',
+    shortcut: 'g'
+  },
+  {
+    name: 'plazas',
+    label: 'Plazas',
+    icon: '⛲',
+    dataset: 'plazas',
+    style: { color: '#f39c12', weight: 2, opacity: 0.8, fillColor: '#f39c12', fillOpacity: 0.3 },
+    popup: '<strong>{Name}</strong><br><em>Plaza</em>',
+    shortcut: 'p'
+  },
+  {
+    name: 'cpns',
+    label: 'Portals & stations',
+    icon: '📌',
+    dataset: 'cpns',
+    point: { radius: 5, fillColor: '#1abc9c', color: '#fff', weight: 1, fillOpacity: 0.9 },
+    popup: '<strong>{NAME}</strong><br><em>{TYPE} {ALIAS1}</em>',
+    shortcut: 'n'
+  },
+  {
+    name: 'blocks',
+    label: 'City blocks',
+    icon: '🏘️',
+    dataset: 'city_blocks',
+    style: { color: '#c9a26b', weight: 1, opacity: 0.6, fillColor: '#e0c9a6', fillOpacity: 0.25 },
+    popup: '<strong>City block</strong><br>{address}',
+    minZoom: 14,
+    shortcut: 'b'
+  },
+  {
+    name: 'outlines',
+    label: 'Street outlines',
+    icon: '▭',
+    dataset: 'street_outlines',
+    style: { color: '#ffffff', weight: 1, opacity: 0.5, fillColor: '#ffffff', fillOpacity: 0.08 },
+    popup: '<strong>Street</strong><br>{address}',
+    minZoom: 14,
+    shortcut: 'o'
+  },
+  {
+    name: 'toilets',
+    label: 'Toilets',
+    icon: '🚻',
+    dataset: 'toilets',
+    style: { color: '#8b4513', weight: 2, fillOpacity: 0.3, fillColor: '#d2b48c' },
+    popup: '<strong>Portable Toilets</strong><br>{address}',
+    minZoom: 14,
+    shortcut: 't'
+  }
+];
+
+// Base maps, one shown at a time underneath the overlays
+//   type - 'tiles' (raster tile URL) or 'playa' (drawn from the bundled city GeoJSON)
+//   bulkDownload - the provider allows saving every tile for offline use (OfflineSupport)
+//   averageTileKB - rough tile size for the download estimate
+// MAP_CONFIG.basemap picks the starting one. When a tile source keeps failing,
+// MapSetup moves down this list, so the playa map goes last.
+window.MAP_CONFIG.basemaps = window.MAP_CONFIG.basemaps || [
+  {
+    name: 'streets',
+    label: 'Street tiles',
+    icon: '🗺️',
+    type: 'tiles',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors | GlitchCube Live Tracker',
+    maxZoom: 18,
+    bulkDownload: false // OSM tile usage policy forbids bulk downloading
+  },
+  {
+    name: 'satellite',
+    label: 'Satellite',
+    icon: '🛰️',
+    type: 'tiles',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Imagery © Esri, Maxar, Earthstar Geographics | GlitchCube Live Tracker',
+    maxZoom: 18,
+    bulkDownload: false // Esri terms don't allow offline copies
+  },
+  {
+    // Served from public/tiles by the Sinatra box (works on the playa LAN)
+    name: 'local',
+    label: 'Local tiles',
+    icon: '💾',
+    type: 'tiles',
+    url: 'tiles/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors | GlitchCube Live Tracker',
+    maxZoom: 18,
+    bulkDownload: true,
+    averageTileKB: 15
+  },
+  {
+    name: 'playa',
+    label: 'Playa map',
+    icon: '🏜️',
+    type: 'playa',
+    attribution: 'City map © Burning Man Project GIS | GlitchCube Live Tracker'
+  }
+];
@@ -2,22 +2,30 @@
 
 window.MapSetup = {
   map: null,
-  layerGroups: {
-    landmarks: null,
-    streets: null,
-    boundaries: null,
-    toilets: null,
-    cube: null,
-    route: null
-  },
+  // Layer groups keyed by name: one per MAP_CONFIG.layers entry, plus cube and search
+  layerGroups: {},
+  enabledLayers: {},
+  loadedLayers: {},
+  searchPinTimer: null,
+  // Base map layers keyed by MAP_CONFIG.basemaps name
+  basemaps: {},
+  activeBasemap: null,
+  basemapPinned: false,
+  basemapCallbacks: [],
+  failedBasemaps: {},
+  tileErrors: 0,
+  // Dataset downloads in flight, by URL: layers asking for the same dataset at once share one
+  geojsonRequests: {},
   
   // Initialize the map
   init: function() {
-    MapUtils.log('Initializing map...');
+    MapUtils.log(`Initializing map for ${MAP_CONFIG.year}...`);
+    
+    MapUtils.brcUtils.configure(MAP_CONFIG.cityGeometry);
     
-    // Create map centered on Burning Man
+    // Create map centered on the Golden Spike for the selected burn year
     this.map = L.map('map', {
-      center: [40.7864, -119.2065], // Golden Spike
+      center: [MAP_CONFIG.goldenSpike.lat, MAP_CONFIG.goldenSpike.lng],
       zoom: 15,
       minZoom: 12,
       maxZoom: 18,
@@ -25,11 +33,8 @@ window.MapSetup = {
       maxBoundsViscosity: 1.0
     });
     
-    // Add OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      attribution: '© OpenStreetMap contributors | GlitchCube Live Tracker',
-      maxZoom: 18
-    }).addTo(this.map);
+    // Base map: tiles when we're online, the playa map otherwise
+    this.initBasemaps();
     
     // Initialize layer groups
     this.initLayerGroups();
@@ -41,134 +46,394 @@ window.MapSetup = {
     return this.map;
   },
   
-  // Initialize layer groups for organized display
+  // Create base map layers from MAP_CONFIG.basemaps and show the starting one
+  initBasemaps: function() {
+    // Vector base maps sit above tiles and below every overlay
+    this.map.createPane('basemap').style.zIndex = 250;
+    
+    MAP_CONFIG.basemaps.forEach(definition => {
+      this.basemaps[definition.name] = definition.type === 'playa'
+        ? this.createPlayaBasemap(definition)
+        : this.createTileBasemap(definition);
+    });
+    
+    const playa = MAP_CONFIG.basemaps.find(definition => definition.type === 'playa');
+    const preferred = MAP_CONFIG.basemap && this.basemaps[MAP_CONFIG.basemap] ? MAP_CONFIG.basemap : null;
+    const offline = navigator.onLine === false && playa ? playa.name : null;
+    
+    this.setBasemap(preferred || offline || MAP_CONFIG.basemaps[0].name);
+  },
+  
+  // Raster tile layer that hands over to the next source when its tiles keep failing
+  createTileBasemap: function(definition) {
+    const layer = L.tileLayer(definition.url, {
+      attribution: definition.attribution,
+      maxZoom: definition.maxZoom || 18
+    });
+    
+    layer.on('tileload', () => {
+      this.tileErrors = 0;
+    });
+    
+    layer.on('tileerror', () => {
+      this.tileErrors++;
+      if (this.tileErrors >= (MAP_CONFIG.tileErrorThreshold || 6)) {
+        this.handleTileFailure(definition.name);
+      }
+    });
+    
+    return layer;
+  },
+  
+  // Mark a tile source as failed and move to the next working one in MAP_CONFIG.basemaps,
+  // unless the user picked these tiles themselves
+  handleTileFailure: function(basemapName) {
+    if (this.activeBasemap !== basemapName || this.basemapPinned) return;
+    
+    this.failedBasemaps[basemapName] = true;
+    
+    const names = MAP_CONFIG.basemaps.map(definition => definition.name);
+    const index = names.indexOf(basemapName);
+    const next = names.slice(index + 1).concat(names.slice(0, index))
+      .find(name => !this.failedBasemaps[name]);
+    
+    if (!next) {
+      MapUtils.error('Every base map is failing to load');
+      return;
+    }
+    
+    MapUtils.error(`${basemapName} tiles are failing to load, switching to ${next}`);
+    this.setBasemap(next);
+  },
+  
+  // City drawn from the bundled GeoJSON, styled after the official BRC map
+  createPlayaBasemap: function(definition) {
+    const group = L.layerGroup([], { attribution: definition.attribution });
+    const pieces = [
+      { dataset: 'trash_fence', style: { color: '#b59a76', weight: 1, fillColor: '#efe5d3', fillOpacity: 1 } },
+      { dataset: 'city_blocks', style: { color: '#c9a26b', weight: 0.5, fillColor: '#e2c9a0', fillOpacity: 1 } },
+      { dataset: 'street_outlines', style: { color: '#d8c7ab', weight: 0.5, fillColor: '#fbf7ef', fillOpacity: 1 } }
+    ];
+    const loaded = [];
+    let requested = false;
+    
+    // Datasets are fetched the first time the playa map is shown
+    group.on('add', () => {
+      if (requested) return;
+      requested = true;
+      
+      pieces.forEach((piece, index) => {
+        if (loaded[index]) return;
+        
+        this.loadGeoJsonData(piece.dataset, (data) => {
+          if (!data) {
+            requested = false; // Retry next time it's shown
+            return;
+          }
+          
+          loaded[index] = L.geoJSON(data, {
+            pane: 'basemap',
+            style: piece.style,
+            interactive: false
+          });
+          group.addLayer(loaded[index]);
+          
+          // Keep fence under blocks under streets whatever order the files arrive in
+          loaded.forEach(layer => layer && layer.bringToFront());
+        });
+      });
+    });
+    
+    return group;
+  },
+  
+  // Show a base map; pinned marks an explicit choice that tile failover leaves alone
+  setBasemap: function(name, pinned = false) {
+    const basemap = this.basemaps[name];
+    if (!basemap) return false;
+    
+    if (this.activeBasemap && this.activeBasemap !== name) {
+      this.map.removeLayer(this.basemaps[this.activeBasemap]);
+    }
+    
+    this.activeBasemap = name;
+    this.basemapPinned = pinned;
+    this.tileErrors = 0;
+    
+    // Picking a source by hand gives it another chance
+    if (pinned) {
+      delete this.failedBasemaps[name];
+    }
+    
+    if (!this.map.hasLayer(basemap)) {
+      this.map.addLayer(basemap);
+    }
+    
+    const definition = MAP_CONFIG.basemaps.find(entry => entry.name === name);
+    this.map.getContainer().classList.toggle('basemap-playa', definition.type === 'playa');
+    
+    MapUtils.log(`Base map: ${definition.label}`);
+    this.basemapCallbacks.forEach(callback => callback(name));
+    return true;
+  },
+  
+  onBasemapChange: function(callback) {
+    this.basemapCallbacks.push(callback);
+  },
+  
+  // Initialize layer groups from the layer registry
   initLayerGroups: function() {
-    this.layerGroups.boundaries = L.layerGroup().addTo(this.map);
-    this.layerGroups.streets = L.layerGroup(); // Not added by default
-    this.layerGroups.landmarks = L.layerGroup().addTo(this.map);
-    this.layerGroups.toilets = L.layerGroup(); // Not added by default
+    MAP_CONFIG.layers.forEach(definition => {
+      this.layerGroups[definition.name] = L.layerGroup();
+      this.enabledLayers[definition.name] = false;
+    });
+    
     this.layerGroups.cube = L.layerGroup().addTo(this.map);
-    this.layerGroups.route = L.layerGroup(); // Not added by default
+    this.layerGroups.search = L.layerGroup().addTo(this.map);
+    
+    // Layers with minZoom/maxZoom come and go as the user zooms
+    this.map.on('zoomend', () => this.updateZoomVisibility());
   },
   
   // Load initial essential data
   loadInitialData: function() {
     MapUtils.log('Loading initial map data...');
     
-    // Load trash fence (boundary)
-    this.loadGeoJsonData('trash_fence', (data) => {
-      if (data && data.features) {
-        data.features.forEach(feature => {
-          const layer = L.geoJSON(feature, {
-            style: {
-              color: '#ff6b6b',
-              weight: 3,
-              opacity: 0.8,
-              fillOpacity: 0.1
-            }
-          });
-          this.layerGroups.boundaries.addLayer(layer);
-        });
-        MapUtils.log('Trash fence loaded');
-      }
+    // Layers declared visible (the route is owned by CubeTracker)
+    MAP_CONFIG.layers
+      .filter(definition => definition.visible && definition.type !== 'route')
+      .forEach(definition => this.setLayerEnabled(definition.name, true));
+    
+    // Street grid and plazas feed the BRC address geocoder
+    this.loadGeoJsonData('street_lines', (data) => {
+      MapUtils.brcUtils.buildStreetIndex(data);
     });
     
-    // Load landmarks
-    this.loadGeoJsonData('burning_man_landmarks', (data) => {
-      if (data && data.landmarks) {
-        data.landmarks.forEach(landmark => {
-          const marker = L.circleMarker([landmark.lat, landmark.lng], {
-            radius: this.getLandmarkRadius(landmark.type),
-            fillColor: this.getLandmarkColor(landmark.type),
-            color: '#fff',
-            weight: 2,
-            fillOpacity: 0.8
-          });
-          
-          marker.bindPopup(`
-            <strong>${landmark.name}</strong><br>
-            <em>${landmark.type}</em><br>
-            ${landmark.description || ''}
-          `);
-          
-          this.layerGroups.landmarks.addLayer(marker);
-        });
-        MapUtils.log('Landmarks loaded');
-      }
+    this.loadGeoJsonData('plazas', (data) => {
+      MapUtils.brcUtils.setPlazas(data);
+    });
+    
+    // Named places (portals, plazas, stations) for address search
+    this.loadGeoJsonData('cpns', (data) => {
+      MapUtils.brcUtils.setCpns(data);
     });
   },
   
-  // Load GeoJSON data from API
+  // URL for a dataset from the active year's file set
+  geojsonUrl: function(dataset) {
+    const file = CityGeometry.datasetFile(MAP_CONFIG.cityGeometry, dataset);
+    
+    // Static builds serve public/geojson directly; Sinatra serves it under /api
+    if (MAP_CONFIG.staticMode) {
+      return `geojson/${file}`;
+    }
+    return `/api/geojson/${file.replace(/\.(geo)?json$/, '')}`;
+  },
+  
+  // Load GeoJSON data from API. Revalidating a dataset (If-None-Match) is left to the service
+  // worker and the browser cache, which keep the body a 304 stands for.
   loadGeoJsonData: function(dataset, callback) {
-    fetch(`/api/geojson/${dataset}`)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return response.json();
-      })
+    const url = this.geojsonUrl(dataset);
+    
+    if (!this.geojsonRequests[url]) {
+      this.geojsonRequests[url] = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+          return response.json();
+        })
+        .finally(() => {
+          delete this.geojsonRequests[url];
+        });
+    }
+    
+    this.geojsonRequests[url]
       .then(data => {
         callback(data);
       })
       .catch(error => {
         MapUtils.error(`Failed to load ${dataset}:`, error);
+        callback(null);
       });
   },
   
-  // Load streets (on-demand)
-  loadStreets: function() {
-    if (this.layerGroups.streets.hasLayer) {
-      MapUtils.log('Streets already loaded');
-      return;
-    }
+  // Registry entry for a layer
+  getLayerDefinition: function(layerName) {
+    return MAP_CONFIG.layers.find(definition => definition.name === layerName) || null;
+  },
+  
+  // Load a layer's contents the first time it is shown
+  loadLayerData: function(layerName) {
+    const definition = this.getLayerDefinition(layerName);
+    if (!definition || this.loadedLayers[layerName]) return;
     
-    this.loadGeoJsonData('street_lines', (data) => {
-      if (data && data.features) {
-        data.features.forEach(feature => {
-          const layer = L.geoJSON(feature, {
-            style: {
-              color: '#ffffff',
-              weight: 2,
-              opacity: 0.6
-            }
-          });
-          
-          if (feature.properties && feature.properties.name) {
-            layer.bindPopup(`<strong>${feature.properties.name}</strong>`);
-          }
+    this.loadedLayers[layerName] = true;
+    
+    switch (definition.type || 'geojson') {
+      case 'geojson':
+        this.loadGeoJsonLayer(definition);
+        break;
+      case 'landmarks':
+        this.loadLandmarksLayer(definition);
+        break;
+      case 'grid':
+        this.buildGridOverlay();
+        break;
+      default:
+        // 'route' and other externally managed layers draw themselves
+        break;
+    }
+  },
+  
+  // Load a GeoJSON dataset into its layer group
+  loadGeoJsonLayer: function(definition) {
+    this.loadGeoJsonData(definition.dataset, (data) => {
+      if (!data || !data.features) {
+        this.loadedLayers[definition.name] = false; // Retry next time it's shown
+        return;
+      }
+      
+      const layer = L.geoJSON(data, {
+        style: definition.style,
+        pointToLayer: (feature, latlng) => L.circleMarker(latlng, definition.point || {}),
+        onEachFeature: (feature, featureLayer) => {
+          if (!definition.popup) return;
           
-          this.layerGroups.streets.addLayer(layer);
-        });
-        MapUtils.log('Streets loaded');
+          featureLayer.bindPopup(() => {
+            const center = featureLayer.getBounds ? featureLayer.getBounds().getCenter() : featureLayer.getLatLng();
+            return this.renderPopup(definition.popup, feature.properties || {}, center);
+          });
+        }
+      });
+      
+      this.layerGroups[definition.name].addLayer(layer);
+      MapUtils.log(`${definition.label || definition.name} loaded (${data.features.length} features)`);
+    });
+  },
+  
+  // Load burning_man_landmarks.json (a plain list, not GeoJSON)
+  loadLandmarksLayer: function(definition) {
+    this.loadGeoJsonData(definition.dataset, (data) => {
+      if (!data || !data.landmarks) {
+        this.loadedLayers[definition.name] = false;
+        return;
       }
+      
+      data.landmarks.forEach(landmark => {
+        const marker = L.circleMarker([landmark.lat, landmark.lng], {
+          radius: this.getLandmarkRadius(landmark.type),
+          fillColor: this.getLandmarkColor(landmark.type),
+          color: '#fff',
+          weight: 2,
+          fillOpacity: 0.8
+        });
+        
+        marker.bindPopup(`
+          <strong>${landmark.name}</strong><br>
+          <em>${landmark.type}</em><br>
+          ${landmark.description || ''}
+        `);
+        
+        this.layerGroups[definition.name].addLayer(marker);
+      });
+      MapUtils.brcUtils.setLandmarks(data);
+      MapUtils.log('Landmarks loaded');
     });
   },
   
-  // Load toilets (on-demand)  
-  loadToilets: function() {
-    if (this.layerGroups.toilets.hasLayer) {
-      MapUtils.log('Toilets already loaded');
-      return;
+  // Fill a popup template: {Property} from the feature, {address} from the geocoder
+  renderPopup: function(template, properties, latlng) {
+    if (typeof template === 'function') {
+      return template(properties, latlng);
     }
     
-    this.loadGeoJsonData('toilets', (data) => {
-      if (data && data.features) {
-        data.features.forEach(feature => {
-          const layer = L.geoJSON(feature, {
-            style: {
-              color: '#8b4513',
-              weight: 2,
-              fillOpacity: 0.3,
-              fillColor: '#d2b48c'
-            }
-          });
-          
-          layer.bindPopup('<strong>Portable Toilet</strong>');
-          this.layerGroups.toilets.addLayer(layer);
-        });
-        MapUtils.log('Toilets loaded');
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      if (key === 'address') return this.addressAt(latlng);
+      const value = properties[key];
+      return value === undefined || value === null ? '' : String(value).trim();
+    });
+  },
+  
+  // BRC address for a popup, falling back to coordinates
+  addressAt: function(latlng) {
+    const result = MapUtils.brcUtils.geocode(latlng.lat, latlng.lng);
+    return result ? result.address : `${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}`;
+  },
+  
+  // Build the clock-and-arc grid from city geometry (no GeoJSON needed)
+  buildGridOverlay: function() {
+    const gridLayer = this.layerGroups.grid;
+    
+    const brc = MapUtils.brcUtils;
+    const layout = CityGeometry.layout(MAP_CONFIG.cityGeometry);
+    const inner = layout.arcs[0].radius;
+    const outer = layout.arcs[layout.arcs.length - 1].radius;
+    const toLatLng = (minutes, distance) => {
+      const point = brc.clockToLatLng(minutes, distance);
+      return [point.lat, point.lng];
+    };
+    const label = (latLng, text, className) => L.marker(latLng, {
+      icon: L.divIcon({ className: `brc-grid-label ${className}`, html: `<span>${text}</span>`, iconSize: null }),
+      interactive: false,
+      keyboard: false
+    });
+    
+    // Radials: half hours labelled just beyond the outermost arc
+    layout.radials.forEach(radial => {
+      const isHalfHour = radial.clockMinutes % 30 === 0;
+      
+      gridLayer.addLayer(L.polyline([
+        toLatLng(radial.clockMinutes, radial.minDistance),
+        toLatLng(radial.clockMinutes, radial.maxDistance)
+      ], {
+        color: '#ffd166',
+        weight: isHalfHour ? 1.5 : 0.75,
+        opacity: isHalfHour ? 0.7 : 0.4,
+        interactive: false
+      }));
+      
+      if (isHalfHour) {
+        gridLayer.addLayer(label(toLatLng(radial.clockMinutes, outer + 90), radial.name, 'brc-grid-radial'));
       }
     });
+    
+    // Arcs: sampled every 5 clock minutes, labelled past the first radial
+    const firstClock = layout.radials[0].clockMinutes;
+    const lastClock = layout.radials[layout.radials.length - 1].clockMinutes;
+    
+    layout.arcs.forEach((arc, index) => {
+      const points = [];
+      for (let minutes = firstClock; minutes <= lastClock; minutes += 5) {
+        points.push(toLatLng(minutes, arc.radius));
+      }
+      
+      gridLayer.addLayer(L.polyline(points, {
+        color: '#ffd166',
+        weight: index === 0 ? 2 : 1,
+        opacity: 0.6,
+        interactive: false
+      }));
+      
+      // Esplanade, then lettered arcs: "A Atwood", "B Bradbury", ...
+      const text = index === 0 ? arc.name : `${String.fromCharCode(64 + index)} ${arc.name}`;
+      gridLayer.addLayer(label(toLatLng(firstClock - 6, arc.radius), text, 'brc-grid-arc'));
+    });
+    
+    // 12:00 axis through the Man, from the 6:00 edge of the city out into deep playa
+    gridLayer.addLayer(L.polyline([
+      toLatLng(360, outer),
+      toLatLng(0, outer)
+    ], {
+      color: '#ff6b6b',
+      weight: 1.5,
+      opacity: 0.7,
+      dashArray: '6,6',
+      interactive: false
+    }));
+    gridLayer.addLayer(label(toLatLng(0, outer + 90), '12:00', 'brc-grid-radial'));
+    
+    MapUtils.log(`BRC grid built: ${layout.radials.length} radials, ${layout.arcs.length} arcs (inner ${Math.round(inner)}m)`);
   },
   
   // Get landmark visual properties
@@ -196,23 +461,50 @@ window.MapSetup = {
   
   // Toggle layer visibility
   toggleLayer: function(layerName) {
-    const layer = this.layerGroups[layerName];
-    if (!layer) return false;
+    if (!this.layerGroups[layerName] || !this.getLayerDefinition(layerName)) return false;
     
-    if (this.map.hasLayer(layer)) {
-      this.map.removeLayer(layer);
-      return false;
-    } else {
-      // Load data if needed
-      if (layerName === 'streets') {
-        this.loadStreets();
-      } else if (layerName === 'toilets') {
-        this.loadToilets();
-      }
-      
-      this.map.addLayer(layer);
-      return true;
+    return this.setLayerEnabled(layerName, !this.enabledLayers[layerName]);
+  },
+  
+  // Turn a registry layer on or off (it may still be hidden by its zoom range)
+  setLayerEnabled: function(layerName, enabled) {
+    if (!this.getLayerDefinition(layerName)) return false;
+    
+    this.enabledLayers[layerName] = enabled;
+    if (enabled) {
+      this.loadLayerData(layerName);
     }
+    
+    this.updateZoomVisibility();
+    return enabled;
+  },
+  
+  isLayerEnabled: function(layerName) {
+    return !!this.enabledLayers[layerName];
+  },
+  
+  // Whether the current zoom is inside a layer's minZoom/maxZoom range
+  isLayerInZoomRange: function(layerName) {
+    const definition = this.getLayerDefinition(layerName);
+    const zoom = this.map.getZoom();
+    
+    return !!definition &&
+           (definition.minZoom === undefined || zoom >= definition.minZoom) &&
+           (definition.maxZoom === undefined || zoom <= definition.maxZoom);
+  },
+  
+  // Add or remove layer groups to match enabled state and zoom ranges
+  updateZoomVisibility: function() {
+    MAP_CONFIG.layers.forEach(definition => {
+      const group = this.layerGroups[definition.name];
+      const shouldShow = this.enabledLayers[definition.name] && this.isLayerInZoomRange(definition.name);
+      
+      if (shouldShow && !this.map.hasLayer(group)) {
+        this.map.addLayer(group);
+      } else if (!shouldShow && this.map.hasLayer(group)) {
+        this.map.removeLayer(group);
+      }
+    });
   },
   
   // Center map on specific coordinates
@@ -224,6 +516,28 @@ window.MapSetup = {
     }
   },
   
+  // Fly to a resolved address and drop a temporary pin
+  showSearchPin: function(lat, lng, label, durationMs = 60000) {
+    const searchLayer = this.layerGroups.search;
+    searchLayer.clearLayers();
+    
+    if (this.searchPinTimer) {
+      clearTimeout(this.searchPinTimer);
+    }
+    
+    const pin = L.marker([lat, lng], { title: label });
+    pin.bindPopup(`<strong>${label}</strong>`);
+    searchLayer.addLayer(pin);
+    
+    this.map.flyTo([lat, lng], Math.max(this.map.getZoom(), 17));
+    pin.openPopup();
+    
+    this.searchPinTimer = setTimeout(() => {
+      searchLayer.clearLayers();
+      this.searchPinTimer = null;
+    }, durationMs);
+  },
+  
   // Get layer group reference
   getLayer: function(layerName) {
     return this.layerGroups[layerName];
@@ -0,0 +1,598 @@
+// Location transports for MapData
+// Each one registers itself with MapData.registerTransport; MAP_CONFIG.transport picks one.
+
+// Static mode (GitHub Pages): the location injected into the page at build time
+MapData.registerTransport('static', {
+  name: 'static',
+  delivered: false,
+  
+  // The data never changes, so resuming after a hidden tab has nothing new to send
+  start: function(mapData) {
+    if (this.delivered) return;
+    this.delivered = true;
+    
+    if (window.CUBE_LOCATION) {
+      mapData.handleLocationUpdate(window.CUBE_LOCATION, 'static');
+    } else {
+      mapData.handleError(new Error('No location data in this build'));
+    }
+    mapData.setApiStatus('static');
+  },
+  
+  stop: function() {},
+  
+  describe: function() {
+    return `static data built ${window.BUILD_TIMESTAMP || 'at an unknown time'}`;
+  }
+});
+
+// HTTP polling of /api/cube_location with retries and a slower pace while the API struggles
+// or the network is slow (MapData.networkFactor). With several devices each one is fetched with
+// ?device=; the poll only counts as failed when none of them answer.
+// One timer and one request at a time. Each delay gets some jitter so clients that started
+// together (after a server restart, say) don't keep polling in lockstep, and is never shorter
+// than the server's Retry-After or Cache-Control max-age.
+MapData.registerTransport('polling', {
+  name: 'polling',
+  url: '/api/cube_location',
+  
+  // Multiples of the normal interval once requests keep failing
+  slowFactor: 3,
+  offlineFactor: 6,
+  jitter: 0.15, // Each delay is up to 15% longer or shorter
+  
+  // Quick retries for each kind of failure (see MapData.fetchError) before slowing down;
+  // the backoff doubles for each retry
+  retryPolicies: {
+    timeout: { retries: 1, backoffMs: 15000 },  // The uplink is crawling, give it room
+    network: { retries: 2, backoffMs: 5000 },
+    http_5xx: { retries: 2, backoffMs: 5000 },
+    http_4xx: { retries: 0 },                    // Asking again gets the same answer
+    bad_json: { retries: 1, backoffMs: 5000 },
+    upstream: { retries: 1, backoffMs: 30000 }   // The server is fine, the cube isn't answering it
+  },
+  
+  mapData: null,
+  active: false,
+  timer: null,
+  inFlight: false,
+  retryCount: 0,
+  consecutiveFailures: 0,
+  currentInterval: null,
+  
+  normalInterval: function() {
+    const interval = MAP_CONFIG.updateInterval || 120000; // Default 2 minutes
+    return interval * MapData.networkFactor();
+  },
+  
+  start: function(mapData) {
+    this.mapData = mapData;
+    this.active = true;
+    this.currentInterval = this.currentInterval || this.normalInterval();
+    this.fetchNow();
+  },
+  
+  stop: function() {
+    this.active = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.mapData.setNextUpdate(null);
+  },
+  
+  refresh: function() {
+    this.retryCount = 0;
+    this.fetchNow(true);
+  },
+  
+  describe: function() {
+    return `polling ${this.url} every ${Math.round((this.currentInterval || this.normalInterval()) / 1000)}s`;
+  },
+  
+  // Set the one timer: delay with jitter, but no sooner than notBeforeMs. Requests already in
+  // flight when stopped still deliver, but don't schedule another.
+  schedule: function(delay, notBeforeMs = 0) {
+    if (!this.active) return;
+    
+    const jittered = Math.round(Math.max(delay * (1 + (Math.random() * 2 - 1) * this.jitter), notBeforeMs));
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.fetchNow(), jittered);
+    this.mapData.setNextUpdate(Date.now() + jittered);
+  },
+  
+  // A refresh while a request is out just waits for its answer. The status only shows loading
+  // for a fetch someone asked for or before there is anything on the map; routine polls leave
+  // it alone, so the indicator and other tabs don't hear about every one.
+  fetchNow: function(requested = false) {
+    if (this.inFlight) return;
+    clearTimeout(this.timer);
+    
+    // Requests would only fail; MapData refreshes when the browser is back online
+    if (!this.mapData.isOnline()) {
+      this.mapData.setApiStatus('offline');
+      this.schedule(this.currentInterval);
+      return;
+    }
+    
+    this.inFlight = true;
+    this.mapData.setNextUpdate(null);
+    
+    const devices = this.mapData.getDevices();
+    if (requested || !devices.some(device => this.mapData.getCurrentLocation(device.id))) {
+      this.mapData.setApiStatus('loading');
+    }
+    
+    Promise.allSettled(devices.map(device => this.fetchDevice(device.id))).then(results => {
+      this.inFlight = false;
+      const answers = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+      
+      if (answers.length === 0) {
+        this.handleFailure(errors[0]);
+        return;
+      }
+      
+      errors.forEach(error => this.mapData.handleError(error));
+      this.handleSuccess(answers);
+    });
+  },
+  
+  // One device's location and how long the server says it stays current: { data, maxAgeMs },
+  // with data null when the server answered 304 (no new fix). A failure carries the device id.
+  fetchDevice: function(deviceId) {
+    return this.mapData.fetchResponse(this.mapData.deviceUrl(this.url, deviceId), true)
+      .then(({ data, response, notModified }) => {
+        if (notModified) {
+          return { data: null, device: deviceId, maxAgeMs: this.mapData.maxAgeMs(response) };
+        }
+        
+        // The proxy couldn't reach the cube and had nothing cached
+        if (data.error && !data.lat) {
+          throw this.mapData.fetchError('upstream', data.message || data.error);
+        }
+        return { data: Object.assign({ device: deviceId }, data), device: deviceId, maxAgeMs: this.mapData.maxAgeMs(response) };
+      })
+      .catch(error => {
+        if (this.mapData.getDevices().length > 1) {
+          error.device = deviceId;
+        }
+        throw error;
+      });
+  },
+  
+  handleSuccess: function(answers) {
+    const recovered = this.consecutiveFailures > 0;
+    this.retryCount = 0;
+    this.consecutiveFailures = 0;
+    
+    // Back from a slowed-down pace, or the network got faster or slower
+    if (this.currentInterval !== this.normalInterval()) {
+      this.currentInterval = this.normalInterval();
+      MapUtils.log(`${recovered ? 'API recovered' : 'Network changed'} - ${this.describe()}`);
+    }
+    
+    answers.forEach(answer => {
+      if (answer.data) {
+        this.mapData.handleLocationUpdate(answer.data, 'api');
+      } else {
+        MapUtils.log(`No new fix for ${answer.device} (304)`);
+        this.mapData.confirmLocation(answer.device);
+      }
+    });
+    this.schedule(this.currentInterval, Math.max(...answers.map(answer => answer.maxAgeMs)));
+  },
+  
+  // Retry with backoff first (as the kind of failure allows), then slow down until the API comes
+  // back. A Retry-After from the server wins over both.
+  handleFailure: function(error) {
+    const policy = this.retryPolicies[error.kind] || this.retryPolicies.network;
+    const retryAfterMs = error.retryAfterMs || 0;
+    this.consecutiveFailures++;
+    this.retryCount++;
+    
+    if (this.retryCount <= policy.retries) {
+      const backoffDelay = Math.max(policy.backoffMs * Math.pow(2, this.retryCount - 1), retryAfterMs);
+      MapUtils.log(`Request failed (${error.kind}: ${error.message}), retrying in about ${Math.round(backoffDelay / 1000)}s`);
+      this.mapData.setApiStatus('degraded');
+      this.schedule(backoffDelay, retryAfterMs);
+      return;
+    }
+    
+    this.retryCount = 0;
+    
+    if (this.consecutiveFailures >= 5) {
+      this.currentInterval = this.normalInterval() * this.offlineFactor;
+      this.mapData.setApiStatus('offline');
+    } else {
+      this.currentInterval = this.normalInterval() * this.slowFactor;
+      this.mapData.setApiStatus('degraded');
+    }
+    
+    this.mapData.handleError(error);
+    this.schedule(this.currentInterval, retryAfterMs);
+  }
+});
+
+// Server-Sent Events from /api/cube_location/stream; falls back to polling when the stream
+// can't be opened (old browser, proxy that buffers, server at its stream limit), and tries the
+// stream again every retryStreamMs, on refresh() and when the browser comes back online
+MapData.registerTransport('sse', {
+  name: 'sse',
+  url: '/api/cube_location/stream',
+  maxFailures: 3, // Consecutive errors without an open stream before falling back
+  reconnectMs: 5000,
+  retryStreamMs: 5 * 60 * 1000,
+  
+  mapData: null,
+  source: null,
+  lastEventId: null,
+  failures: 0,
+  reconnectTimer: null,
+  retryTimer: null,
+  fallenBack: false,
+  
+  fallback: function() {
+    return MapData.transports.polling;
+  },
+  
+  start: function(mapData) {
+    this.mapData = mapData;
+    
+    if (this.fallenBack) {
+      this.fallback().start(mapData);
+      this.scheduleStreamRetry();
+    } else if (!window.EventSource) {
+      this.fallBack('EventSource not supported');
+    } else {
+      this.connect();
+    }
+  },
+  
+  stop: function() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.retryTimer);
+    this.close();
+    if (this.fallenBack) {
+      this.fallback().stop();
+    }
+  },
+  
+  // Reconnect without an event id, so the server sends the current fix straight away
+  refresh: function() {
+    if (this.fallenBack) {
+      this.retryStream();
+      return;
+    }
+    
+    this.lastEventId = null;
+    this.close();
+    this.connect();
+  },
+  
+  describe: function() {
+    return this.fallenBack ? `${this.fallback().describe()} (stream unavailable)` : `streaming ${this.url}`;
+  },
+  
+  close: function() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  },
+  
+  // EventSource can't set headers on a fresh connection, so the last id goes in the query string
+  connect: function() {
+    const url = this.lastEventId ? `${this.url}?lastEventId=${encodeURIComponent(this.lastEventId)}` : this.url;
+    const source = new EventSource(url);
+    this.source = source;
+    this.mapData.setApiStatus('loading');
+    
+    source.onopen = () => {
+      this.failures = 0;
+      this.mapData.setApiStatus('online');
+      MapUtils.log('Location stream open');
+    };
+    
+    source.addEventListener('location', (event) => {
+      try {
+        this.mapData.handleLocationUpdate(JSON.parse(event.data), 'api');
+        this.lastEventId = event.lastEventId || this.lastEventId;
+      } catch (error) {
+        this.mapData.handleError(new Error(`Bad location event: ${error.message}`));
+      }
+    });
+    
+    source.onerror = () => {
+      if (source !== this.source) return;
+      
+      // Losing the network isn't the stream's fault; MapData reconnects when it's back
+      if (!this.mapData.isOnline()) {
+        this.close();
+        this.mapData.setApiStatus('offline');
+        return;
+      }
+      
+      this.failures++;
+      if (this.failures >= this.maxFailures) {
+        this.fallBack(`stream failed ${this.failures} times`);
+        return;
+      }
+      
+      this.mapData.setApiStatus('degraded');
+      
+      // CONNECTING means the browser is already retrying (with Last-Event-ID); CLOSED means
+      // the server refused the stream, so retry ourselves
+      if (source.readyState === EventSource.CLOSED) {
+        this.close();
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectMs);
+      }
+    };
+  },
+  
+  fallBack: function(reason) {
+    MapUtils.error(`Location stream unavailable (${reason}), falling back to polling`);
+    clearTimeout(this.reconnectTimer);
+    this.close();
+    this.fallenBack = true;
+    this.fallback().start(this.mapData);
+    this.scheduleStreamRetry();
+  },
+  
+  scheduleStreamRetry: function() {
+    if (!window.EventSource) return;
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      // Offline, the stream would only fail; coming back online retries through refresh()
+      if (this.mapData.isOnline()) {
+        this.retryStream();
+      } else {
+        this.scheduleStreamRetry();
+      }
+    }, this.retryStreamMs);
+  },
+  
+  // Leave polling for one more go at the stream; a single failure goes back to polling
+  retryStream: function() {
+    clearTimeout(this.retryTimer);
+    if (!window.EventSource) {
+      this.fallback().refresh();
+      return;
+    }
+    
+    MapUtils.log('Trying the location stream again');
+    this.fallback().stop();
+    this.fallenBack = false;
+    this.failures = this.maxFailures - 1;
+    this.lastEventId = null;
+    this.connect();
+  }
+});
+
+// WebSocket on /api/cube_location/ws: fixes pushed like the stream, plus a presence heartbeat
+// that the server answers with the number of people watching. Like the stream, it falls back to
+// polling when sockets can't be opened (no browser support, server at SOCKET_MAX_CLIENTS) and
+// tries again every retrySocketMs, on refresh() and when the browser comes back online.
+MapData.registerTransport('websocket', {
+  name: 'websocket',
+  path: '/api/cube_location/ws',
+  heartbeatMs: 15000,
+  deadAfterMs: 40000, // Nothing heard for this long means the connection is dead
+  reconnectBaseMs: 1000, // Doubles for each failed attempt
+  reconnectMaxMs: 60000,
+  maxFailures: 3, // Sockets in a row that close without opening before falling back
+  retrySocketMs: 5 * 60 * 1000,
+  
+  mapData: null,
+  active: false,
+  socket: null,
+  lastEventId: null,
+  attempts: 0,
+  failures: 0,
+  lastMessageAt: 0,
+  heartbeatTimer: null,
+  reconnectTimer: null,
+  retryTimer: null,
+  fallenBack: false,
+  
+  fallback: function() {
+    return MapData.transports.polling;
+  },
+  
+  start: function(mapData) {
+    this.mapData = mapData;
+    this.active = true;
+    
+    if (this.fallenBack) {
+      this.fallback().start(mapData);
+      this.scheduleSocketRetry();
+    } else if (!window.WebSocket) {
+      this.fallBack('WebSocket not supported');
+    } else {
+      this.connect();
+    }
+  },
+  
+  stop: function() {
+    this.active = false;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.retryTimer);
+    this.close();
+    this.mapData.setPresence(null);
+    if (this.fallenBack) {
+      this.fallback().stop();
+    }
+  },
+  
+  // Reconnect now without an event id, so the server sends the current fix
+  refresh: function() {
+    if (this.fallenBack) {
+      this.retrySocket();
+      return;
+    }
+    
+    this.lastEventId = null;
+    this.attempts = 0;
+    clearTimeout(this.reconnectTimer);
+    this.close();
+    this.connect();
+  },
+  
+  describe: function() {
+    return this.fallenBack ? `${this.fallback().describe()} (socket unavailable)` : `WebSocket ${this.path}`;
+  },
+  
+  url: function() {
+    const url = new URL(this.path, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (this.lastEventId) {
+      url.searchParams.set('lastEventId', this.lastEventId);
+    }
+    return url.href;
+  },
+  
+  // Detach first so the close event of a socket we dropped doesn't schedule a reconnect
+  close: function() {
+    clearInterval(this.heartbeatTimer);
+    
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  },
+  
+  connect: function() {
+    const socket = new WebSocket(this.url());
+    let opened = false;
+    this.socket = socket;
+    if (this.attempts === 0) {
+      this.mapData.setApiStatus('loading');
+    }
+    
+    socket.onopen = () => {
+      opened = true;
+      this.attempts = 0;
+      this.failures = 0;
+      this.lastMessageAt = Date.now();
+      this.mapData.setApiStatus('online');
+      MapUtils.log('Location socket open');
+      
+      this.sendPresence();
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+    };
+    
+    socket.onmessage = (event) => {
+      this.lastMessageAt = Date.now();
+      this.receive(event.data);
+    };
+    
+    // An error is always followed by close, which handles it
+    socket.onclose = () => {
+      if (socket !== this.socket) return;
+      
+      this.socket = null;
+      clearInterval(this.heartbeatTimer);
+      
+      // A refused upgrade (the server's 503) only shows as a close before open
+      if (!opened && this.mapData.isOnline() && ++this.failures >= this.maxFailures) {
+        this.fallBack(`socket failed to open ${this.failures} times`);
+        return;
+      }
+      this.scheduleReconnect();
+    };
+  },
+  
+  receive: function(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.mapData.handleError(new Error(`Bad socket message: ${error.message}`));
+      return;
+    }
+    
+    if (message.type === 'location') {
+      this.mapData.handleLocationUpdate(message.data, 'api');
+      this.lastEventId = message.id || this.lastEventId;
+    } else if (message.type === 'presence') {
+      this.mapData.setPresence(message.watchers);
+    }
+  },
+  
+  sendPresence: function() {
+    this.socket.send(JSON.stringify({ type: 'presence' }));
+  },
+  
+  // Every answer to the last heartbeat counts as a sign of life
+  heartbeat: function() {
+    if (Date.now() - this.lastMessageAt > this.deadAfterMs) {
+      MapUtils.log(`Location socket silent for ${Math.round((Date.now() - this.lastMessageAt) / 1000)}s, reconnecting`);
+      this.close();
+      this.scheduleReconnect();
+      return;
+    }
+    
+    this.sendPresence();
+  },
+  
+  scheduleReconnect: function() {
+    if (!this.active) return;
+    
+    // Don't retry into a dead network; MapData refreshes when the browser is back online
+    if (!this.mapData.isOnline()) {
+      this.mapData.setApiStatus('offline');
+      this.mapData.setPresence(null);
+      MapUtils.log('Location socket closed while offline, waiting for the connection');
+      return;
+    }
+    
+    this.attempts++;
+    const delay = Math.min(this.reconnectBaseMs * Math.pow(2, this.attempts - 1), this.reconnectMaxMs);
+    this.mapData.setApiStatus('degraded');
+    this.mapData.setPresence(null);
+    MapUtils.log(`Location socket closed, reconnecting in ${delay / 1000}s (attempt ${this.attempts})`);
+    
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  },
+  
+  fallBack: function(reason) {
+    MapUtils.error(`Location socket unavailable (${reason}), falling back to polling`);
+    clearTimeout(this.reconnectTimer);
+    this.close();
+    this.fallenBack = true;
+    this.mapData.setPresence(null);
+    this.fallback().start(this.mapData);
+    this.scheduleSocketRetry();
+  },
+  
+  scheduleSocketRetry: function() {
+    if (!window.WebSocket) return;
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      if (this.mapData.isOnline()) {
+        this.retrySocket();
+      } else {
+        this.scheduleSocketRetry();
+      }
+    }, this.retrySocketMs);
+  },
+  
+  // Leave polling for one more socket; if it doesn't open, back to polling
+  retrySocket: function() {
+    clearTimeout(this.retryTimer);
+    if (!window.WebSocket) {
+      this.fallback().refresh();
+      return;
+    }
+    
+    MapUtils.log('Trying the location socket again');
+    this.fallback().stop();
+    this.fallenBack = false;
+    this.failures = this.maxFailures - 1;
+    this.attempts = 0;
+    this.lastEventId = null;
+    this.connect();
+  }
+});
@@ -15,11 +15,37 @@ window.MapUtils = {
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
     return R * c; // Distance in meters
   },
-
+  
   toRadians: function(degrees) {
     return degrees * (Math.PI / 180);
   },
-
+  
+  // Initial compass bearing (degrees, 0 = north) from one point to another
+  bearing: function(lat1, lng1, lat2, lng2) {
+    const phi1 = this.toRadians(lat1);
+    const phi2 = this.toRadians(lat2);
+    const dLng = this.toRadians(lng2 - lng1);
+    
+    const y = Math.sin(dLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  },
+  
+  // Point reached by going meters along a compass bearing
+  destinationPoint: function(lat, lng, bearing, meters) {
+    const R = 6371000;
+    const angle = meters / R;
+    const theta = this.toRadians(bearing);
+    const phi1 = this.toRadians(lat);
+    const lambda1 = this.toRadians(lng);
+    
+    const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angle) + Math.cos(phi1) * Math.sin(angle) * Math.cos(theta));
+    const lambda2 = lambda1 + Math.atan2(Math.sin(theta) * Math.sin(angle) * Math.cos(phi1),
+                                         Math.cos(angle) - Math.sin(phi1) * Math.sin(phi2));
+    
+    return { lat: phi2 * 180 / Math.PI, lng: lambda2 * 180 / Math.PI };
+  },
+  
   // Format distance for display
   formatDistance: function(meters) {
     if (meters < 1000) {
@@ -28,7 +54,7 @@ window.MapUtils = {
       return (meters / 1000).toFixed(1) + 'km';
     }
   },
-
+  
   // Format timestamp
   formatTimestamp: function(timestamp) {
     if (!timestamp) return 'Unknown';
@@ -47,45 +73,599 @@ window.MapUtils = {
       return diffHours + 'h ago';
     }
   },
-
+  
+  // Age in words for badges: "just now", "12 min old", "3 h old", "2 days old"
+  formatAge: function(ageMs) {
+    const minutes = Math.floor(ageMs / 60000);
+    
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min old`;
+    if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} h old`;
+    return `${Math.floor(minutes / (24 * 60))} days old`;
+  },
+  
+  // Time left as minutes and seconds for countdowns: "1:42", "0:05"
+  formatCountdown: function(ms) {
+    const seconds = Math.max(Math.ceil(ms / 1000), 0);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  },
+  
   // BRC coordinate system utilities
   brcUtils: {
-    // Golden Spike (center reference point)
-    GOLDEN_SPIKE: { lat: 40.7864, lng: -119.2065 },
+    // Golden Spike (center reference point) and 12:00 bearing for the active burn year
+    GOLDEN_SPIKE: window.CityGeometry ? window.CityGeometry.current().goldenSpike : null,
+    defaultRotation: window.CityGeometry ? window.CityGeometry.current().rotation : 45,
     
-    // Convert lat/lng to BRC-style address
-    coordinatesToBrcAddress: function(lat, lng) {
+    FEET_PER_METER: 3.28084,
+    METERS_PER_DEGREE: 6371000 * Math.PI / 180,
+    
+    // How far (meters) outside Esplanade/the outermost arc still counts as the city
+    CITY_TOLERANCE: 40,
+    
+    // Street index built from street_lines.geojson (see buildStreetIndex)
+    streetIndex: null,
+    plazas: [],
+    places: {},
+    readyCallbacks: [],
+    
+    // Switch to another year's city geometry (see city_geometry.js)
+    configure: function(manifest) {
+      this.GOLDEN_SPIKE = manifest.goldenSpike;
+      this.defaultRotation = manifest.rotation;
+      this.streetIndex = null;
+      this.plazas = [];
+      this.places = {};
+    },
+    
+    // Project lat/lng onto a flat plane centered on the Golden Spike (meters)
+    toLocal: function(lat, lng) {
       const center = this.GOLDEN_SPIKE;
+      return {
+        x: (lng - center.lng) * Math.cos(MapUtils.toRadians(center.lat)) * this.METERS_PER_DEGREE,
+        y: (lat - center.lat) * this.METERS_PER_DEGREE
+      };
+    },
+    
+    fromLocal: function(x, y) {
+      const center = this.GOLDEN_SPIKE;
+      return {
+        lat: center.lat + y / this.METERS_PER_DEGREE,
+        lng: center.lng + x / (Math.cos(MapUtils.toRadians(center.lat)) * this.METERS_PER_DEGREE)
+      };
+    },
+    
+    // Distance (meters) and compass bearing (degrees, 0 = north) from the Golden Spike
+    polar: function(lat, lng) {
+      const p = this.toLocal(lat, lng);
+      let bearing = Math.atan2(p.x, p.y) * 180 / Math.PI;
+      if (bearing < 0) bearing += 360;
+      return { distance: Math.sqrt(p.x * p.x + p.y * p.y), bearing: bearing };
+    },
+    
+    // "4:30" -> 270 (minutes past 12:00 on the city clock)
+    parseClock: function(text) {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+      if (!match) return null;
+      
+      const hours = parseInt(match[1], 10);
+      const minutes = parseInt(match[2], 10);
+      if (hours < 1 || hours > 12 || minutes > 59) return null;
+      
+      return (hours % 12) * 60 + minutes;
+    },
+    
+    // 270 -> "4:30"
+    formatClock: function(minutes) {
+      const total = ((Math.round(minutes) % 720) + 720) % 720;
+      const hours = Math.floor(total / 60) || 12;
+      const mins = total % 60;
+      return `${hours}:${mins < 10 ? '0' : ''}${mins}`;
+    },
+    
+    // Compass bearing -> clock minutes, using the city rotation from the street index
+    bearingToClockMinutes: function(bearing) {
+      const rotation = this.streetIndex ? this.streetIndex.rotation : this.defaultRotation;
+      const clockAngle = ((bearing - rotation) % 360 + 360) % 360;
+      return clockAngle * 2; // 720 minutes per 360°
+    },
+    
+    // Build radial/arc lookup tables from street_lines.geojson
+    buildStreetIndex: function(geojson) {
+      if (!geojson || !geojson.features) return null;
+      
+      const radials = {};
+      const arcs = {};
+      
+      geojson.features.forEach(feature => {
+        const props = feature.properties || {};
+        const geometry = feature.geometry;
+        if (!geometry || geometry.type !== 'LineString' || !props.name) return;
+        
+        if (props.type === 'radial') {
+          const clockMinutes = this.parseClock(props.name);
+          if (clockMinutes === null) return;
+          
+          const radial = radials[props.name] || (radials[props.name] = {
+            name: props.name,
+            clockMinutes: clockMinutes,
+            minDistance: Infinity,
+            maxDistance: 0,
+            sumX: 0,
+            sumY: 0
+          });
+          
+          geometry.coordinates.forEach(coord => {
+            const p = this.polar(coord[1], coord[0]);
+            radial.minDistance = Math.min(radial.minDistance, p.distance);
+            radial.maxDistance = Math.max(radial.maxDistance, p.distance);
+            
+            // Weight by distance so vertices near the Man don't skew the bearing
+            radial.sumX += Math.sin(MapUtils.toRadians(p.bearing)) * p.distance;
+            radial.sumY += Math.cos(MapUtils.toRadians(p.bearing)) * p.distance;
+          });
+        } else if (props.type === 'arc') {
+          const arc = arcs[props.name] || (arcs[props.name] = {
+            name: props.name,
+            sumDistance: 0,
+            count: 0,
+            bearings: []
+          });
+          
+          geometry.coordinates.forEach(coord => {
+            const p = this.polar(coord[1], coord[0]);
+            arc.sumDistance += p.distance;
+            arc.count++;
+            arc.bearings.push(p.bearing);
+          });
+        }
+      });
+      
+      const radialList = Object.keys(radials).map(name => {
+        const radial = radials[name];
+        let bearing = Math.atan2(radial.sumX, radial.sumY) * 180 / Math.PI;
+        if (bearing < 0) bearing += 360;
+        return {
+          name: radial.name,
+          clockMinutes: radial.clockMinutes,
+          bearing: bearing,
+          minDistance: radial.minDistance,
+          maxDistance: radial.maxDistance
+        };
+      }).sort((a, b) => a.clockMinutes - b.clockMinutes);
+      
+      if (radialList.length === 0) {
+        MapUtils.error('Street index: no radials found in street data');
+        return null;
+      }
+      
+      // City rotation: where 12:00 points, averaged over every radial
+      let rotX = 0;
+      let rotY = 0;
+      radialList.forEach(radial => {
+        const offset = MapUtils.toRadians(radial.bearing - radial.clockMinutes / 2);
+        rotX += Math.sin(offset);
+        rotY += Math.cos(offset);
+      });
+      let rotation = Math.atan2(rotX, rotY) * 180 / Math.PI;
+      if (rotation < 0) rotation += 360;
+      
+      // Rotation is needed before arc clock extents can be computed
+      this.streetIndex = { rotation: rotation };
+      
+      const arcList = Object.keys(arcs).map(name => {
+        const arc = arcs[name];
+        const clocks = arc.bearings.map(b => this.bearingToClockMinutes(b));
+        return {
+          name: arc.name,
+          radius: arc.sumDistance / arc.count,
+          minClock: Math.min.apply(null, clocks),
+          maxClock: Math.max.apply(null, clocks)
+        };
+      }).sort((a, b) => a.radius - b.radius);
+      
+      this.streetIndex = {
+        rotation: rotation,
+        radials: radialList,
+        arcs: arcList,
+        innerRadius: arcList.length ? arcList[0].radius : 0,
+        outerRadius: arcList.length ? arcList[arcList.length - 1].radius : 0,
+        minClock: Math.min.apply(null, radialList.map(r => r.clockMinutes)),
+        maxClock: Math.max.apply(null, radialList.map(r => r.clockMinutes))
+      };
+      
+      MapUtils.log(`Street index built: ${radialList.length} radials, ${arcList.length} arcs, rotation ${rotation.toFixed(1)}°`);
+      this.notifyReady();
+      return this.streetIndex;
+    },
+    
+    // Store plaza polygons from plazas.geojson for point-in-plaza checks
+    setPlazas: function(geojson) {
+      if (!geojson || !geojson.features) return;
+      
+      this.plazas = geojson.features
+        .filter(feature => feature.geometry && feature.geometry.type === 'Polygon')
+        .map(feature => {
+          const ring = feature.geometry.coordinates[0];
+          const center = ring.reduce((sum, coord) => {
+            return { lat: sum.lat + coord[1] / ring.length, lng: sum.lng + coord[0] / ring.length };
+          }, { lat: 0, lng: 0 });
+          
+          return {
+            name: (feature.properties && feature.properties.Name) || 'Plaza',
+            ring: ring,
+            center: center
+          };
+        });
+      
+      this.addPlaces(this.plazas.map(plaza => ({
+        name: plaza.name,
+        lat: plaza.center.lat,
+        lng: plaza.center.lng
+      })), 'plaza');
+      
+      MapUtils.log(`Plaza index built: ${this.plazas.length} plazas`);
+      this.notifyReady();
+    },
+    
+    // Register a callback for when the street or plaza index changes
+    onIndexReady: function(callback) {
+      this.readyCallbacks.push(callback);
+    },
+    
+    notifyReady: function() {
+      this.readyCallbacks.forEach(callback => {
+        try {
+          callback(this.streetIndex);
+        } catch (error) {
+          MapUtils.error('Error in street index callback:', error);
+        }
+      });
+    },
+    
+    isReady: function() {
+      return !!(this.streetIndex && this.streetIndex.radials);
+    },
+    
+    // Ray-casting point-in-polygon test against a GeoJSON ring
+    pointInRing: function(lat, lng, ring) {
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0], yi = ring[i][1];
+        const xj = ring[j][0], yj = ring[j][1];
+        
+        if (((yi > lat) !== (yj > lat)) &&
+            (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    },
+    
+    findPlaza: function(lat, lng) {
+      return this.plazas.find(plaza => this.pointInRing(lat, lng, plaza.ring)) || null;
+    },
+    
+    // Geocode a point against the real street grid.
+    // Returns { address, zone: 'city'|'playa'|'plaza', radial, arc, offsetFeet, clock,
+    // distanceFromManFeet, plaza } or null until street_lines.geojson has been indexed.
+    geocode: function(lat, lng) {
+      const index = this.streetIndex;
+      if (!this.isReady()) return null;
+      
+      const p = this.polar(lat, lng);
+      const clockMinutes = this.bearingToClockMinutes(p.bearing);
+      const plaza = this.findPlaza(lat, lng);
+      
+      // Clock tolerance equivalent to CITY_TOLERANCE at this distance
+      const clockTolerance = p.distance > 0 ? (this.CITY_TOLERANCE / p.distance) * 180 / Math.PI * 2 : 0;
+      const inCity = p.distance >= index.innerRadius - this.CITY_TOLERANCE &&
+                     p.distance <= index.outerRadius + this.CITY_TOLERANCE &&
+                     clockMinutes >= index.minClock - clockTolerance &&
+                     clockMinutes <= index.maxClock + clockTolerance;
+      
+      const result = {
+        lat: lat,
+        lng: lng,
+        zone: plaza ? 'plaza' : (inCity ? 'city' : 'playa'),
+        clock: this.formatClock(clockMinutes),
+        distanceFromManFeet: Math.round(p.distance * this.FEET_PER_METER),
+        radial: null,
+        arc: null,
+        offsetFeet: null,
+        plaza: plaza ? plaza.name : null,
+        address: null
+      };
+      
+      if (inCity || plaza) {
+        const radial = this.nearestRadial(clockMinutes, p.distance);
+        const arc = this.nearestArc(p.distance);
+        
+        if (radial && arc) {
+          const corner = this.fromLocal(
+            Math.sin(MapUtils.toRadians(radial.bearing)) * arc.radius,
+            Math.cos(MapUtils.toRadians(radial.bearing)) * arc.radius
+          );
+          
+          result.radial = radial.name;
+          result.arc = arc.name;
+          result.offsetFeet = Math.round(
+            MapUtils.haversineDistance(lat, lng, corner.lat, corner.lng) * this.FEET_PER_METER
+          );
+          result.address = `${radial.name} & ${arc.name}`;
+        }
+      }
+      
+      if (plaza) {
+        result.address = plaza.name;
+      } else if (p.distance < this.CITY_TOLERANCE) {
+        result.address = 'The Man';
+      } else if (!result.address) {
+        // Open playa convention: clock position and distance from the Man
+        const feet = Math.round(result.distanceFromManFeet / 50) * 50;
+        result.zone = 'playa';
+        result.address = `${this.formatClock(Math.round(clockMinutes / 5) * 5)} & ${feet}'`;
+      }
+      
+      return result;
+    },
+    
+    // Closest radial by clock position among those that reach this distance
+    nearestRadial: function(clockMinutes, distance) {
+      let best = null;
+      let bestDiff = Infinity;
+      
+      this.streetIndex.radials.forEach(radial => {
+        if (distance < radial.minDistance - this.CITY_TOLERANCE ||
+            distance > radial.maxDistance + this.CITY_TOLERANCE) {
+          return;
+        }
+        
+        const diff = Math.abs(radial.clockMinutes - clockMinutes);
+        if (diff < bestDiff) {
+          best = radial;
+          bestDiff = diff;
+        }
+      });
+      
+      return best;
+    },
+    
+    // Closest arc by radius
+    nearestArc: function(distance) {
+      let best = null;
+      let bestDiff = Infinity;
+      
+      this.streetIndex.arcs.forEach(arc => {
+        const diff = Math.abs(arc.radius - distance);
+        if (diff < bestDiff) {
+          best = arc;
+          bestDiff = diff;
+        }
+      });
+      
+      return best;
+    },
+    
+    // Human-readable detail line for a geocode result
+    describeLocation: function(result) {
+      if (!result) return '';
+      
+      switch (result.zone) {
+        case 'plaza':
+          return result.radial ? `In plaza near ${result.radial} & ${result.arc}` : 'In plaza';
+        case 'city':
+          return result.offsetFeet > 50 ? `${result.offsetFeet} ft from intersection` : 'At intersection';
+        default:
+          return `Open playa, ${result.distanceFromManFeet} ft from the Man`;
+      }
+    },
+    
+    // Convert lat/lng to BRC-style address string
+    coordinatesToBrcAddress: function(lat, lng) {
+      const result = this.geocode(lat, lng);
+      return result ? result.address : null;
+    },
+    
+    // Normalize a place name for lookup: "9:00 Portal" and "900 Portal" -> "9portal"
+    placeKey: function(text) {
+      return String(text).toLowerCase()
+        .replace(/\b(\d{1,2}):?(\d{2})\b/g, (match, hours, minutes) => minutes === '00' ? hours : hours + minutes)
+        .replace(/\bthe\b/g, '')
+        .replace(/[^a-z0-9]/g, '');
+    },
+    
+    // Register named places (CPNs, landmarks, plazas) for address lookup.
+    // Earlier registrations win, so plazas (polygon centres) take priority.
+    addPlaces: function(places, kind) {
+      places.forEach(place => {
+        if (typeof place.lat !== 'number' || typeof place.lng !== 'number') return;
+        
+        const names = [place.name].concat(place.aliases || []);
+        names.forEach(name => {
+          const key = name ? this.placeKey(name) : '';
+          if (key && !this.places[key]) {
+            this.places[key] = { name: place.name, lat: place.lat, lng: place.lng, kind: kind };
+          }
+        });
+      });
+    },
+    
+    // cpns.geojson: Point features with NAME and ALIAS1
+    setCpns: function(geojson) {
+      if (!geojson || !geojson.features) return;
+      
+      this.addPlaces(geojson.features
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => ({
+          name: feature.properties.NAME,
+          aliases: [feature.properties.ALIAS1],
+          lat: feature.geometry.coordinates[1],
+          lng: feature.geometry.coordinates[0]
+        })), 'cpn');
+    },
+    
+    // burning_man_landmarks.json: { landmarks: [{ name, alias, lat, lng }] }
+    setLandmarks: function(data) {
+      if (!data || !data.landmarks) return;
+      
+      this.addPlaces(data.landmarks.map(landmark => ({
+        name: landmark.name,
+        aliases: [landmark.alias],
+        lat: landmark.lat,
+        lng: landmark.lng
+      })), 'landmark');
+    },
+    
+    // Resolve an arc token: "Esplanade", "Esp", "Kilgore", "Kil" or a letter "K"
+    findArc: function(token) {
+      if (!this.isReady()) return null;
+      
+      const arcs = this.streetIndex.arcs;
+      const text = token.toLowerCase();
+      
+      if (text.length === 1) {
+        // Lettered arcs start after Esplanade: A = Atwood, B = Bradbury, ...
+        const lettered = arcs.filter(arc => arc.name.toLowerCase() !== 'esplanade');
+        return lettered[text.charCodeAt(0) - 97] || null;
+      }
+      
+      return arcs.find(arc => arc.name.toLowerCase() === text) ||
+             (text.length >= 3 ? arcs.find(arc => arc.name.toLowerCase().indexOf(text) === 0) : null) ||
+             null;
+    },
+    
+    // Parse an address string without resolving it.
+    // Returns { type: 'intersection', clockMinutes, arc } | { type: 'playa', clockMinutes, feet }
+    // | { type: 'place', key } or null for empty input.
+    parseAddress: function(text) {
+      const input = String(text || '').trim();
+      if (!input) return null;
+      
+      // Open playa: "10:30 2500ft", "10:30 & 2500'"
+      const playa = /^(\d{1,2}:\d{2})\s*(?:&|@|and)?\s*(\d{2,5})\s*(?:ft|feet|'|’)?$/i.exec(input);
+      if (playa && this.parseClock(playa[1]) !== null) {
+        return { type: 'playa', clockMinutes: this.parseClock(playa[1]), feet: parseInt(playa[2], 10) };
+      }
+      
+      // Intersection in either order: "4:30 & Kilgore", "7:15 & E", "Esplanade and 6:00"
+      const parts = input.split(/\s*(?:&|@|\/|\band\b|\bat\b)\s*/i).filter(part => part);
+      if (parts.length === 2) {
+        const clockFirst = this.parseClock(parts[0]);
+        const clockSecond = this.parseClock(parts[1]);
+        
+        if (clockFirst !== null && /^[a-z]+$/i.test(parts[1])) {
+          return { type: 'intersection', clockMinutes: clockFirst, arc: parts[1] };
+        }
+        if (clockSecond !== null && /^[a-z]+$/i.test(parts[0])) {
+          return { type: 'intersection', clockMinutes: clockSecond, arc: parts[0] };
+        }
+      }
       
-      // Calculate angle from center (0° = due north, clockwise)
-      const deltaX = lng - center.lng;
-      const deltaY = lat - center.lat;
-      let angle = Math.atan2(deltaX, deltaY) * 180 / Math.PI;
-      if (angle < 0) angle += 360;
-      
-      // Convert to clock position
-      const clockHour = Math.round(angle / 30); // 30° per hour
-      const clockPos = clockHour === 0 ? 12 : clockHour;
-      
-      // Calculate distance from center
-      const distance = MapUtils.haversineDistance(center.lat, center.lng, lat, lng);
-      
-      // Determine street (approximate)
-      if (distance < 200) {
-        return `${clockPos}:00 & Center`;
-      } else if (distance < 400) {
-        return `${clockPos}:00 & Esplanade`;
-      } else if (distance < 800) {
-        const street = String.fromCharCode(65 + Math.floor((distance - 400) / 100)); // A, B, C, etc.
-        return `${clockPos}:00 & ${street}`;
+      return { type: 'place', key: this.placeKey(input) };
+    },
+    
+    // Point at a clock position and distance (meters) from the Golden Spike
+    clockToLatLng: function(clockMinutes, distance) {
+      const rotation = this.streetIndex ? this.streetIndex.rotation : this.defaultRotation;
+      const bearing = MapUtils.toRadians(rotation + clockMinutes / 2);
+      return this.fromLocal(Math.sin(bearing) * distance, Math.cos(bearing) * distance);
+    },
+    
+    // Resolve an address to coordinates.
+    // Returns { lat, lng, label, type, confidence (0-1) } or null if nothing matched.
+    resolveAddress: function(text) {
+      const parsed = this.parseAddress(text);
+      if (!parsed) return null;
+      
+      // Exact place names win over street parsing ("3:00 & B Plaza" is a plaza)
+      const exactPlace = this.places[this.placeKey(text)];
+      if (exactPlace) {
+        return this.placeResult(exactPlace, 1.0);
+      }
+      
+      if (parsed.type === 'playa') {
+        const point = this.clockToLatLng(parsed.clockMinutes, parsed.feet / this.FEET_PER_METER);
+        return {
+          lat: point.lat,
+          lng: point.lng,
+          label: `${this.formatClock(parsed.clockMinutes)} & ${parsed.feet}'`,
+          type: 'playa',
+          confidence: this.streetIndex ? 0.9 : 0.6
+        };
+      }
+      
+      if (parsed.type === 'intersection') {
+        return this.resolveIntersection(parsed);
+      }
+      
+      return this.resolvePlace(parsed.key);
+    },
+    
+    resolveIntersection: function(parsed) {
+      const arc = this.findArc(parsed.arc);
+      if (!arc) return null;
+      
+      const label = this.formatClock(parsed.clockMinutes);
+      const radial = this.streetIndex.radials.find(r => r.clockMinutes === parsed.clockMinutes);
+      let confidence = 1.0;
+      let point;
+      
+      if (radial && arc.radius >= radial.minDistance - this.CITY_TOLERANCE) {
+        const bearing = MapUtils.toRadians(radial.bearing);
+        point = this.fromLocal(Math.sin(bearing) * arc.radius, Math.cos(bearing) * arc.radius);
       } else {
-        return `${clockPos}:00 & Outer Playa`;
+        // Not a real street corner (e.g. "4:20 & C" or a quarter-hour inside Farmer)
+        point = this.clockToLatLng(parsed.clockMinutes, arc.radius);
+        confidence = 0.7;
+      }
+      
+      if (parsed.clockMinutes < arc.minClock - 1 || parsed.clockMinutes > arc.maxClock + 1) {
+        // The arc doesn't run through this clock position
+        confidence = 0.3;
       }
+      
+      return {
+        lat: point.lat,
+        lng: point.lng,
+        label: `${label} & ${arc.name}`,
+        type: 'intersection',
+        confidence: confidence
+      };
+    },
+    
+    // Partial name match: "temp" -> The Temple, "ranger" -> first ranger station
+    resolvePlace: function(key) {
+      if (!key || key.length < 3) return null;
+      
+      const matches = Object.keys(this.places).filter(placeKey => placeKey.indexOf(key) !== -1);
+      if (matches.length === 0) return null;
+      
+      // Prefer prefix matches, then the shortest (most specific) name
+      matches.sort((a, b) => {
+        const prefixA = a.indexOf(key) === 0 ? 0 : 1;
+        const prefixB = b.indexOf(key) === 0 ? 0 : 1;
+        return prefixA - prefixB || a.length - b.length;
+      });
+      
+      const distinct = new Set(matches.map(match => this.places[match].name)).size;
+      return this.placeResult(this.places[matches[0]], distinct === 1 ? 0.8 : 0.5);
+    },
+    
+    placeResult: function(place, confidence) {
+      return {
+        lat: place.lat,
+        lng: place.lng,
+        label: place.name,
+        type: place.kind,
+        confidence: confidence
+      };
     }
   },
-
-  // Create custom cube icon
-  createCubeIcon: function() {
+  
+  // Cube marker icon; with an age state from CubeTracker.ageState() it is tinted by
+  // tier and carries an age badge. A device (MapData.getDevices()) outlines it in its
+  // color and puts its icon on the badge.
+  createCubeIcon: function(age = null, device = null) {
     const cubeIconSvg = `
       <svg width="32" height="32" viewBox="0 0 32 32" xmlns="http://www.w3.org/2000/svg">
         <defs>
@@ -96,32 +676,40 @@ window.MapUtils = {
           </linearGradient>
         </defs>
         <rect x="4" y="4" width="24" height="24" rx="4" ry="4" 
-              fill="url(#cubeGradient)" stroke="#fff" stroke-width="2"/>
+              fill="url(#cubeGradient)" stroke="${device ? device.color : '#fff'}" stroke-width="2"/>
         <circle cx="16" cy="16" r="4" fill="#fff" opacity="0.8"/>
         <text x="16" y="20" text-anchor="middle" fill="#000" font-size="8" font-weight="bold">●</text>
       </svg>
     `;
     
-    const iconUrl = 'data:image/svg+xml;charset=UTF-8;base64,' + btoa(cubeIconSvg);
+    // btoa() can't encode the ● in the SVG
+    const iconUrl = 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(cubeIconSvg);
     
-    return L.icon({
-      iconUrl: iconUrl,
+    let html = `<img src="${iconUrl}" width="32" height="32" alt="">`;
+    if (age) {
+      const icon = device ? `${device.icon} ` : '';
+      html += `<span class="cube-age-badge cube-source-${age.source}">${icon}${this.formatAge(age.ageMs)} · ${age.label}</span>`;
+    }
+    
+    return L.divIcon({
+      className: `cube-icon cube-icon-${age ? age.tier : 'fresh'}`,
+      html: html,
       iconSize: [32, 32],
       iconAnchor: [16, 16],
       popupAnchor: [0, -16]
     });
   },
-
-  // Create route polyline with direction arrows
-  createRoutePolyline: function(coordinates, map) {
+  
+  // Create route polyline with direction arrows; style overrides the default look
+  createRoutePolyline: function(coordinates, map, style = {}) {
     if (!coordinates || coordinates.length < 2) return null;
     
-    const polyline = L.polyline(coordinates, {
+    const polyline = L.polyline(coordinates, Object.assign({
       color: '#4ecdc4',
       weight: 4,
       opacity: 0.8,
       dashArray: '10,5'
-    });
+    }, style));
     
     // Add direction arrows (simplified)
     const decorator = L.polylineDecorator(polyline, {
@@ -132,7 +720,7 @@ window.MapUtils = {
           pixelSize: 8,
           pathOptions: {
             fillOpacity: 0.8,
-            color: '#4ecdc4',
+            color: polyline.options.color,
             weight: 0
           }
         })
@@ -141,7 +729,7 @@ window.MapUtils = {
     
     return { polyline, decorator };
   },
-
+  
   // Debug logging
   log: function(message, data) {
     if (console && console.log) {
@@ -149,7 +737,7 @@ window.MapUtils = {
       console.log(`[${timestamp}] ${message}`, data || '');
     }
   },
-
+  
   error: function(message, error) {
     if (console && console.error) {
       const timestamp = new Date().toISOString();
@@ -161,15 +749,15 @@ window.MapUtils = {
 // Add polyline decorator if not available
 if (typeof L.polylineDecorator === 'undefined') {
   // Simplified fallback - just return the polyline
-  window.MapUtils.createRoutePolyline = function(coordinates, map) {
+  window.MapUtils.createRoutePolyline = function(coordinates, map, style = {}) {
     if (!coordinates || coordinates.length < 2) return null;
     
-    const polyline = L.polyline(coordinates, {
+    const polyline = L.polyline(coordinates, Object.assign({
       color: '#4ecdc4',
       weight: 4,
       opacity: 0.8,
       dashArray: '10,5'
-    });
+    }, style));
     
     return { polyline, decorator: null };
   };
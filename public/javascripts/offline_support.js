@@ -0,0 +1,407 @@
+// Offline support for external cube tracker
+// Registers the service worker (public/sw.js) that keeps the app usable without a network,
+// and downloads base map tiles for the city into Cache Storage for use on the playa
+
+window.OfflineSupport = {
+  registration: null,
+  reloading: false,
+  
+  // Same cache name the service worker serves tiles from
+  tileCacheName: 'glitchcube-tiles',
+  
+  download: {
+    source: null,
+    tiles: [],
+    next: 0,
+    done: 0,
+    failed: 0,
+    bytes: 0,
+    fetched: 0,
+    running: false,
+    paused: false,
+    error: null // Why the last run stopped early, e.g. Cache Storage over quota
+  },
+  
+  // Whether each download source answers from here, by name: 'checking', true or false
+  sourceChecks: {},
+  
+  init: function() {
+    this.registerServiceWorker();
+    this.setupTilePanel();
+  },
+  
+  // Register sw.js next to the page; the version in its URL makes a deploy swap caches
+  registerServiceWorker: function() {
+    if (!('serviceWorker' in navigator)) {
+      MapUtils.log('Service workers not supported - offline reloads unavailable');
+      return;
+    }
+    
+    const version = MAP_CONFIG.assetVersion || window.BUILD_TIMESTAMP || 'dev';
+    const mode = MAP_CONFIG.staticMode ? 'static' : 'api';
+    const hadController = !!navigator.serviceWorker.controller;
+    
+    // A new worker took over after a deploy: reload once so page and cache match
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (hadController && !this.reloading) {
+        this.reloading = true;
+        MapUtils.log('New version installed - reloading');
+        window.location.reload();
+      }
+    });
+    
+    navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(version)}&mode=${mode}`)
+      .then(registration => {
+        this.registration = registration;
+        MapUtils.log(`Service worker registered (version ${version})`);
+      })
+      .catch(error => {
+        MapUtils.error('Service worker registration failed:', error);
+      });
+  },
+  
+  // Tile source to download: the active base map if it allows it, else the first that does
+  downloadSource: function() {
+    const downloadable = MAP_CONFIG.basemaps.filter(definition => definition.type === 'tiles' && definition.bulkDownload);
+    return downloadable.find(definition => definition.name === MapSetup.activeBasemap) || downloadable[0] || null;
+  },
+  
+  // HEAD one tile from the middle of the city before offering a source; a source such as
+  // local tiles only exists where its server does, and would otherwise fail every tile
+  checkSource: function(source) {
+    if (source.name in this.sourceChecks) return;
+    
+    this.sourceChecks[source.name] = 'checking';
+    const center = L.latLngBounds(MAP_CONFIG.mapBounds).getCenter();
+    const url = this.tileUrl(source, Object.assign(this.tileAt(center, 12), { z: 12 }));
+    
+    fetch(url, { method: 'HEAD', cache: 'no-store' })
+      .then(response => response.ok)
+      .catch(() => false)
+      .then(available => {
+        this.sourceChecks[source.name] = available;
+        if (!available) {
+          MapUtils.log(`${source.label} tiles not reachable - download disabled`);
+        }
+        this.renderTilePanel();
+      });
+  },
+  
+  // Every tile inside MAP_CONFIG.mapBounds for the zoom range
+  tileList: function(minZoom = 12, maxZoom = 18) {
+    const bounds = L.latLngBounds(MAP_CONFIG.mapBounds);
+    const tiles = [];
+    
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const topLeft = this.tileAt(bounds.getNorthWest(), z);
+      const bottomRight = this.tileAt(bounds.getSouthEast(), z);
+      
+      for (let x = topLeft.x; x <= bottomRight.x; x++) {
+        for (let y = topLeft.y; y <= bottomRight.y; y++) {
+          tiles.push({ x: x, y: y, z: z });
+        }
+      }
+    }
+    return tiles;
+  },
+  
+  // Web Mercator tile containing a point
+  tileAt: function(latlng, zoom) {
+    const scale = Math.pow(2, zoom);
+    const latRad = latlng.lat * Math.PI / 180;
+    
+    return {
+      x: Math.floor((latlng.lng + 180) / 360 * scale),
+      y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+    };
+  },
+  
+  // Tile URL exactly as L.TileLayer builds it, so the service worker finds it in the cache
+  tileUrl: function(definition, tile) {
+    const subdomains = definition.subdomains || 'abc';
+    const url = L.Util.template(definition.url, {
+      s: subdomains[Math.abs(tile.x + tile.y) % subdomains.length],
+      x: tile.x,
+      y: tile.y,
+      z: tile.z,
+      r: ''
+    });
+    return new URL(url, document.baseURI).href;
+  },
+  
+  // Estimated bytes still to download, refined by the tile sizes seen so far
+  estimateRemainingBytes: function() {
+    const state = this.download;
+    const averageBytes = state.fetched
+      ? state.bytes / state.fetched
+      : (state.source.averageTileKB || 20) * 1024;
+    
+    return averageBytes * (state.tiles.length - state.done);
+  },
+  
+  startTileDownload: function() {
+    const source = this.downloadSource();
+    if (!source || !window.caches || this.sourceChecks[source.name] !== true) return false;
+    
+    // Ask the browser not to evict the tiles when storage runs low
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist();
+    }
+    
+    Object.assign(this.download, {
+      source: source,
+      tiles: this.tileList(),
+      next: 0,
+      done: 0,
+      failed: 0,
+      bytes: 0,
+      fetched: 0,
+      paused: false,
+      error: null
+    });
+    
+    MapUtils.log(`Downloading ${this.download.tiles.length} ${source.label} tiles for offline use`);
+    this.runTileDownload();
+    return true;
+  },
+  
+  pauseTileDownload: function() {
+    this.download.paused = true;
+    this.renderTilePanel();
+  },
+  
+  resumeTileDownload: function() {
+    if (!this.download.source) return;
+    
+    this.download.paused = false;
+    this.download.error = null;
+    this.runTileDownload();
+  },
+  
+  // A few tiles at a time; already cached tiles are skipped, so a restart picks up where it left off
+  runTileDownload: function() {
+    if (this.download.running) return;
+    
+    const state = this.download;
+    const concurrency = MAP_CONFIG.tileDownloadConcurrency || 4;
+    state.running = true;
+    this.renderTilePanel();
+    
+    caches.open(this.tileCacheName).then(cache => {
+      const worker = () => {
+        if (state.paused || state.next >= state.tiles.length) {
+          return Promise.resolve();
+        }
+        
+        const url = this.tileUrl(state.source, state.tiles[state.next++]);
+        
+        return cache.match(url)
+          .then(cached => {
+            if (cached) return null;
+            
+            return fetch(url, { mode: 'cors' }).then(response => {
+              if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+              }
+              return response.blob().then(blob => {
+                state.bytes += blob.size;
+                state.fetched++;
+                return cache.put(url, new Response(blob, { headers: response.headers }));
+              });
+            });
+          })
+          .catch(error => {
+            state.failed++;
+            MapUtils.error(`Tile download failed for ${url}:`, error);
+          })
+          .then(() => {
+            state.done++;
+            this.renderTilePanel();
+            return worker();
+          });
+      };
+      
+      const workers = [];
+      for (let i = 0; i < concurrency; i++) {
+        workers.push(worker());
+      }
+      return Promise.all(workers);
+    }).then(() => {
+      state.running = false;
+      if (state.next >= state.tiles.length) {
+        MapUtils.log(`Tile download finished (${state.failed} failed)`);
+      } else if (!state.paused && state.source) {
+        // Resumed while the last tiles of a pause were still in flight
+        this.runTileDownload();
+        return;
+      }
+      this.renderTilePanel();
+      this.updateStorageView();
+    }).catch(error => {
+      // Cache Storage unavailable or full: stop as if paused, so the button can resume
+      MapUtils.error('Tile download stopped:', error);
+      state.running = false;
+      state.paused = true;
+      state.error = error.message || String(error);
+      this.renderTilePanel();
+    });
+  },
+  
+  // Storage used by this site and the number of saved tiles
+  updateStorageView: function() {
+    const view = document.getElementById('offline-storage');
+    if (!view || !window.caches) return;
+    
+    const estimate = navigator.storage && navigator.storage.estimate
+      ? navigator.storage.estimate()
+      : Promise.resolve({});
+    const tileCount = caches.open(this.tileCacheName).then(cache => cache.keys()).then(keys => keys.length);
+    
+    Promise.all([estimate, tileCount]).then(([storage, count]) => {
+      const used = storage.usage !== undefined ? this.formatBytes(storage.usage) : '?';
+      const quota = storage.quota !== undefined ? ` of ${this.formatBytes(storage.quota)}` : '';
+      view.textContent = `${count} tiles saved · ${used} used${quota}`;
+    });
+  },
+  
+  clearTileCache: function() {
+    this.download.paused = true;
+    
+    caches.delete(this.tileCacheName).then(() => {
+      MapUtils.log('Offline tiles cleared');
+      this.download.source = null;
+      this.renderTilePanel();
+      this.updateStorageView();
+    });
+  },
+  
+  formatBytes: function(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.round(bytes / 1024)} KB`;
+    }
+    if (bytes < 1024 * 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  },
+  
+  // Collapsible "offline tiles" panel: download/pause/resume, progress, storage used and clear
+  setupTilePanel: function() {
+    const panel = document.getElementById('offline-panel');
+    if (!panel) return;
+    
+    const toggleButton = document.createElement('button');
+    toggleButton.className = 'control-button layer-panel-toggle';
+    toggleButton.title = 'Offline tiles';
+    toggleButton.textContent = '💾';
+    toggleButton.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      if (!panel.classList.contains('collapsed')) {
+        this.renderTilePanel();
+        this.updateStorageView();
+      }
+    });
+    
+    const body = document.createElement('div');
+    body.className = 'layer-panel-body offline-panel-body';
+    body.innerHTML = `
+      <div class="offline-title">Offline tiles</div>
+      <div id="offline-source"></div>
+      <progress id="offline-progress" max="1" value="0"></progress>
+      <div id="offline-status"></div>
+      <button type="button" id="offline-download"></button>
+      <div class="offline-title">Storage</div>
+      <div id="offline-storage">…</div>
+      <button type="button" id="offline-clear">Clear tiles</button>
+    `;
+    
+    panel.appendChild(toggleButton);
+    panel.appendChild(body);
+    
+    body.querySelector('#offline-download').addEventListener('click', () => {
+      const state = this.download;
+      if (state.running && !state.paused) {
+        this.pauseTileDownload();
+      } else if (state.source && state.paused && state.next < state.tiles.length) {
+        this.resumeTileDownload();
+      } else {
+        this.startTileDownload();
+      }
+    });
+    
+    body.querySelector('#offline-clear').addEventListener('click', () => {
+      if (confirm('Delete all downloaded map tiles?')) {
+        this.clearTileCache();
+      }
+    });
+    
+    // The download source follows the base map picker
+    MapSetup.onBasemapChange(() => this.renderTilePanel());
+    this.renderTilePanel();
+  },
+  
+  renderTilePanel: function() {
+    const button = document.getElementById('offline-download');
+    if (!button) return;
+    
+    const state = this.download;
+    const source = state.source || this.downloadSource();
+    const sourceText = document.getElementById('offline-source');
+    const status = document.getElementById('offline-status');
+    const progress = document.getElementById('offline-progress');
+    
+    if (!window.caches || !source) {
+      sourceText.textContent = window.caches
+        ? 'No base map allows bulk download'
+        : 'Offline storage not supported in this browser';
+      button.textContent = '⬇️ Download';
+      button.disabled = true;
+      return;
+    }
+    
+    sourceText.textContent = source.label;
+    
+    // Nothing started yet: make sure the source serves tiles, then show what a download would cost
+    if (!state.source) {
+      // Only once someone opens the panel, so a page load doesn't probe the tile server
+      if (!document.getElementById('offline-panel').classList.contains('collapsed')) {
+        this.checkSource(source);
+      }
+      
+      const check = this.sourceChecks[source.name];
+      if (check !== true) {
+        progress.value = 0;
+        status.textContent = check !== false
+          ? 'Checking the tile server…'
+          : `${source.label}: tile server not reachable from here`;
+        button.textContent = '⬇️ Download';
+        button.disabled = true;
+        return;
+      }
+      
+      button.disabled = false;
+      const count = this.tileList().length;
+      const estimate = count * (source.averageTileKB || 20) * 1024;
+      progress.value = 0;
+      status.textContent = `${count} tiles, zoom 12–18 · about ${this.formatBytes(estimate)}`;
+      button.textContent = '⬇️ Download';
+      return;
+    }
+    
+    button.disabled = false;
+    const finished = state.next >= state.tiles.length && !state.running;
+    progress.value = state.done / state.tiles.length;
+    status.textContent = `${state.done} / ${state.tiles.length} tiles · ${this.formatBytes(state.bytes)} downloaded` +
+      (finished ? '' : `, about ${this.formatBytes(this.estimateRemainingBytes())} to go`) +
+      (state.failed ? ` · ${state.failed} failed` : '') +
+      (state.error ? ` · stopped: ${state.error}` : '');
+    
+    if (finished) {
+      button.textContent = '🔁 Download again';
+    } else if (state.paused) {
+      button.textContent = '▶️ Resume';
+    } else {
+      button.textContent = '⏸️ Pause';
+    }
+  }
+};
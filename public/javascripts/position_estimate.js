@@ -0,0 +1,52 @@
+// Where the cube probably is once fixes stop arriving
+// The uncertainty radius grows from the last fix at the recent speed (never slower than
+// minSpeedMps, so a parked cube's circle still widens). A dead-reckoned "probably here" point
+// follows the last heading while the cube was moving and the guess is still recent.
+// Tunable through MAP_CONFIG.positionEstimate.
+
+window.PositionEstimate = {
+  config: {
+    motionWindowMs: 10 * 60 * 1000,   // Fixes before the last one that set speed and heading
+    baseRadiusMeters: 20,             // GPS error at the moment of the fix
+    minSpeedMps: 0.5,                 // Drift assumed even when the cube looked parked
+    maxRadiusMeters: 3000,            // About the whole city
+    movingSpeedMps: 1,                // Slower than this, there's no heading worth following
+    maxDeadReckonMs: 30 * 60 * 1000   // Beyond this the heading says nothing
+  },
+  
+  init: function() {
+    Object.assign(this.config, MAP_CONFIG.positionEstimate || {});
+  },
+  
+  // Average speed (m/s) and heading (degrees, 0 = north) over the window ending at the last fix.
+  // fixes are history entries ({ time, lat, lng }), oldest first; null without two usable fixes.
+  motion: function(fixes) {
+    if (fixes.length < 2) return null;
+    
+    const last = fixes[fixes.length - 1];
+    const first = fixes.find(fix => fix.time >= last.time - this.config.motionWindowMs);
+    const seconds = (last.time - first.time) / 1000;
+    if (!(seconds > 0)) return null;
+    
+    return {
+      speedMps: MapUtils.haversineDistance(first.lat, first.lng, last.lat, last.lng) / seconds,
+      bearing: MapUtils.bearing(first.lat, first.lng, last.lat, last.lng)
+    };
+  },
+  
+  // Estimate for a fix seen at fixTime (ms), now (ms) and motion from motion() (or null):
+  // { ageMs, radiusMeters, ghost: { lat, lng } or null }
+  estimate: function(fix, fixTime, motion, now = Date.now()) {
+    const ageMs = Math.max(now - fixTime, 0);
+    const speed = Math.max(motion ? motion.speedMps : 0, this.config.minSpeedMps);
+    const radiusMeters = Math.min(this.config.baseRadiusMeters + speed * ageMs / 1000, this.config.maxRadiusMeters);
+    
+    let ghost = null;
+    if (motion && motion.speedMps >= this.config.movingSpeedMps && ageMs <= this.config.maxDeadReckonMs) {
+      const meters = Math.min(motion.speedMps * ageMs / 1000, radiusMeters);
+      ghost = MapUtils.destinationPoint(fix.lat, fix.lng, motion.bearing, meters);
+    }
+    
+    return { ageMs: ageMs, radiusMeters: radiusMeters, ghost: ghost };
+  }
+};
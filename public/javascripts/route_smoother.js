@@ -0,0 +1,110 @@
+// GPS jitter smoothing for external cube tracker
+// Sits between MapData's history and what CubeTracker draws; the stored history stays raw.
+// Two stages, both tunable through MAP_CONFIG.routeSmoothing (false turns smoothing off):
+//   1. A Kalman filter that trusts a new fix more the longer it's been since the last one
+//   2. Runs of points within stationaryRadiusMeters of each other collapse to their centre
+
+window.RouteSmoother = {
+  config: {
+    enabled: true,
+    measurementNoiseMeters: 10, // GPS error when a fix doesn't carry its own accuracy
+    speedMps: 3,                // How fast the cube is expected to wander between fixes
+    stationaryRadiusMeters: 15  // 0 keeps every point
+  },
+  
+  live: {}, // Filter state for each marker, by device id
+  
+  init: function() {
+    const options = MAP_CONFIG.routeSmoothing;
+    if (options === false) {
+      this.config.enabled = false;
+    } else if (options) {
+      Object.assign(this.config, options);
+    }
+  },
+  
+  // Smoothed [lat, lng] pairs for history entries (oldest first)
+  smooth: function(fixes) {
+    return this.points(this.extend(null, fixes));
+  },
+  
+  // Carry a smoothed route on with fixes newer than the last ones it saw, so a long history
+  // isn't filtered again for every fix. null starts a new route.
+  extend: function(track, fixes) {
+    track = track || { state: null, points: [], run: null };
+    
+    fixes.forEach(fix => {
+      if (!this.config.enabled) {
+        track.points.push([fix.lat, fix.lng]);
+        return;
+      }
+      
+      track.state = this.filter(track.state, fix);
+      this.collapseStationary(track, [track.state.lat, track.state.lng]);
+    });
+    
+    return track;
+  },
+  
+  // A route's [lat, lng] pairs, the run it's still in counted as one point
+  points: function(track) {
+    const run = track.run;
+    return run ? track.points.concat([[run.lat / run.count, run.lng / run.count]]) : track.points;
+  },
+  
+  // Where to put a device's marker: its live filter's estimate, fed one fix at a time
+  smoothPosition: function(fix, deviceId = 'default') {
+    if (!this.config.enabled) {
+      return [fix.lat, fix.lng];
+    }
+    
+    const state = this.live[deviceId] = this.filter(this.live[deviceId] || null, fix);
+    return [state.lat, state.lng];
+  },
+  
+  // One Kalman step; state is { lat, lng, variance (m²), time } or null to start over
+  filter: function(state, fix) {
+    const time = Date.parse(fix.timestamp) || Date.now();
+    const noise = Math.max(fix.accuracy || this.config.measurementNoiseMeters, 1);
+    
+    if (!state) {
+      return { lat: fix.lat, lng: fix.lng, variance: noise * noise, time: time };
+    }
+    
+    // Uncertainty grows with the time since the last fix, so a real move is soon followed
+    const seconds = Math.max((time - state.time) / 1000, 0);
+    const variance = state.variance + seconds * this.config.speedMps * this.config.speedMps;
+    const gain = variance / (variance + noise * noise);
+    
+    return {
+      lat: state.lat + gain * (fix.lat - state.lat),
+      lng: state.lng + gain * (fix.lng - state.lng),
+      variance: (1 - gain) * variance,
+      time: Math.max(time, state.time)
+    };
+  },
+  
+  // Points that stay near the first of their run are replaced by the run's centre, which is
+  // added once the route moves on; the open run keeps sums so a long stop costs nothing extra
+  collapseStationary: function(track, point) {
+    const radius = this.config.stationaryRadiusMeters;
+    const run = track.run;
+    
+    if (!radius) {
+      track.points.push(point);
+      return;
+    }
+    
+    if (run && MapUtils.haversineDistance(run.first[0], run.first[1], point[0], point[1]) <= radius) {
+      run.lat += point[0];
+      run.lng += point[1];
+      run.count++;
+      return;
+    }
+    
+    if (run) {
+      track.points.push([run.lat / run.count, run.lng / run.count]);
+    }
+    track.run = { first: point, lat: point[0], lng: point[1], count: 1 };
+  }
+};
@@ -0,0 +1,181 @@
+// Cross-tab coordination for MapData
+// Tabs of the same map share one connection to the API. The visible tab holding a Web Lock is
+// the leader: it runs the real transport and passes every fix, status change, error, presence
+// count and next poll time on over a BroadcastChannel. The other tabs just listen. A hidden tab
+// gives the lock up, so when the leader closes or goes to the background the next waiting tab
+// takes over.
+// MapData uses it as its transport (see wrap()).
+
+window.TabCoordinator = {
+  name: 'shared',
+  config: {
+    lockName: 'glitchcube-location-leader',
+    channelName: 'glitchcube-location'
+  },
+  
+  transport: null,   // The transport the leader runs
+  mapData: null,
+  channel: null,
+  tabId: Math.random().toString(36).slice(2),
+  role: null,        // 'leader' while holding the lock, otherwise 'follower'; null when not coordinating
+  releaseLock: null, // Resolving it gives the lock up
+  pendingLock: null, // AbortController for a queued lock request
+  
+  isSupported: function() {
+    return !!(window.BroadcastChannel && navigator.locks);
+  },
+  
+  // What MapData should run: this, around the selected transport, when tabs can coordinate.
+  // Static data is in every tab already.
+  wrap: function(transport) {
+    if (transport.name === 'static' || !this.isSupported()) return transport;
+    
+    this.transport = transport;
+    return this;
+  },
+  
+  start: function(mapData) {
+    this.mapData = mapData;
+    
+    if (!this.channel) {
+      this.channel = new BroadcastChannel(this.config.channelName);
+      this.channel.onmessage = event => this.handleMessage(event.data);
+      this.relay(mapData);
+    }
+    
+    this.role = 'follower';
+    this.requestLock();
+    
+    // Catch up from the leader, if there is one, rather than wait for its next fix
+    this.channel.postMessage({ type: 'sync', from: this.tabId });
+  },
+  
+  stop: function() {
+    if (this.pendingLock) {
+      this.pendingLock.abort();
+      this.pendingLock = null;
+    }
+    
+    if (this.role === 'leader') {
+      this.transport.stop();
+      this.role = 'follower';
+      this.releaseLock();
+      this.releaseLock = null;
+      MapUtils.log('Location connection handed to another tab');
+    }
+  },
+  
+  // The leader fetches for everyone
+  refresh: function() {
+    if (this.role === 'leader') {
+      if (this.transport.refresh) this.transport.refresh();
+    } else {
+      this.channel.postMessage({ type: 'refresh' });
+    }
+  },
+  
+  describe: function() {
+    const transport = this.transport.describe ? this.transport.describe() : this.transport.name;
+    return this.role === 'leader' ? `${transport} for every tab` : `another tab's ${transport}`;
+  },
+  
+  // Queue for the lock; the callback holds it until releaseLock() or the tab closes
+  requestLock: function() {
+    const pending = this.pendingLock = new AbortController();
+    
+    navigator.locks.request(this.config.lockName, { signal: pending.signal }, () => {
+      // Stopped while the request was being granted
+      if (pending !== this.pendingLock) return;
+      this.pendingLock = null;
+      
+      return new Promise(resolve => {
+        this.releaseLock = resolve;
+        this.lead();
+      });
+    }).catch(error => {
+      if (error.name === 'AbortError') return;
+      
+      // Without the lock every tab fetches for itself, as before
+      MapUtils.error('Tab coordination unavailable:', error);
+      this.pendingLock = null;
+      this.releaseLock = () => {};
+      this.lead();
+    });
+  },
+  
+  lead: function() {
+    this.role = 'leader';
+    MapUtils.log('This tab now fetches locations for every open tab');
+    this.transport.start(this.mapData);
+  },
+  
+  // Everything the leader's transport delivers goes out to the other tabs
+  relay: function(mapData) {
+    mapData.onLocationUpdate(location => this.broadcast({ type: 'location', location: location }));
+    mapData.onStatusChange(status => this.broadcast({ type: 'status', status: status }));
+    mapData.onError(error => this.broadcast({ type: 'error', message: error.message, kind: error.kind, device: error.device }));
+    mapData.onPresenceChange(watchers => this.broadcast({ type: 'presence', watchers: watchers }));
+    mapData.onHistoryUpdate((added, deviceId, from) => this.broadcast({ type: 'history', added: added, device: deviceId, from: from }));
+    mapData.onScheduleChange(time => this.broadcast({ type: 'schedule', time: time }));
+  },
+  
+  broadcast: function(message) {
+    if (this.role === 'leader') {
+      this.channel.postMessage(message);
+    }
+  },
+  
+  handleMessage: function(message) {
+    if (this.role === 'leader') {
+      if (message.type === 'sync') {
+        this.sendState(message.from);
+      } else if (message.type === 'refresh') {
+        this.refresh();
+      }
+      return;
+    }
+    
+    // Catch-up meant for another new tab
+    if (message.to && message.to !== this.tabId) return;
+    
+    const mapData = this.mapData;
+    switch (message.type) {
+      case 'location':
+        mapData.applyRelayedLocation(message.location);
+        break;
+      case 'status':
+        mapData.setApiStatus(message.status);
+        break;
+      case 'error': {
+        const error = message.kind ? mapData.fetchError(message.kind, message.message) : new Error(message.message);
+        if (message.device) error.device = message.device;
+        mapData.handleError(error);
+        break;
+      }
+      case 'presence':
+        mapData.setPresence(message.watchers);
+        break;
+      case 'schedule':
+        mapData.setNextUpdate(message.time);
+        break;
+      case 'history':
+        // The history store is shared between tabs; the leader already wrote the fixes, live
+        // ones included
+        mapData.notifyHistoryUpdate(message.added, message.device, message.from);
+        break;
+    }
+  },
+  
+  // The current status, presence and locations, for a tab that just opened
+  sendState: function(tabId) {
+    const mapData = this.mapData;
+    
+    this.broadcast({ type: 'status', status: mapData.cache.apiStatus, to: tabId });
+    this.broadcast({ type: 'presence', watchers: mapData.cache.watchers, to: tabId });
+    this.broadcast({ type: 'schedule', time: mapData.cache.nextUpdate, to: tabId });
+    mapData.getDevices()
+      .map(device => mapData.getCurrentLocation(device.id))
+      .filter(Boolean)
+      .forEach(location => this.broadcast({ type: 'location', location: location, to: tabId }));
+  }
+};
@@ -0,0 +1,196 @@
+// Service worker for external cube tracker
+// Precaches the app shell, scripts, styles and city GeoJSON so a reload works with no network.
+// GeoJSON is revalidated with the server on each load, so an edited dataset shows up without a deploy.
+//
+// Registered by OfflineSupport as sw.js?v=<asset version>&mode=<api|static>. A deploy changes
+// the version, which installs a fresh shell cache and deletes the old one on activate.
+
+const params = new URL(self.location).searchParams;
+const VERSION = params.get('v') || 'dev';
+const MODE = params.get('mode') || 'api';
+
+const CACHE_PREFIX = 'glitchcube-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data`; // Last cube location, kept across deploys
+const TILE_CACHE = `${CACHE_PREFIX}tiles`; // Filled by OfflineSupport's tile download, kept across deploys
+
+// Every module in public/javascripts - add new files here
+const SCRIPTS = [
+  'city_geometry.js',
+  'map_layers.js',
+  'map_utils.js',
+  'map_setup.js',
+  'location_history.js',
+  'location_validator.js',
+  'route_smoother.js',
+  'position_estimate.js',
+  'map_data.js',
+  'map_transports.js',
+  'tab_coordinator.js',
+  'cube_tracker.js',
+  'map_controls.js',
+  'offline_support.js',
+  'main.js'
+];
+
+const LEAFLET = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+// Dataset files for every known burn year
+importScripts('javascripts/city_geometry.js');
+
+const geojsonUrls = () => {
+  const files = new Set();
+  CityGeometry.years().forEach(year => {
+    Object.values(CityGeometry.manifests[year].datasets).forEach(file => files.add(file));
+  });
+  
+  // Same URLs MapSetup.geojsonUrl builds
+  return Array.from(files).map(file => MODE === 'static'
+    ? `geojson/${file}`
+    : `api/geojson/${file.replace(/\.(geo)?json$/, '')}`);
+};
+
+const shellUrls = () => [
+  './',
+  'stylesheets/map.css',
+  ...SCRIPTS.map(file => `javascripts/${file}`),
+  ...geojsonUrls()
+].map(path => new URL(path, self.location).href).concat(LEAFLET);
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all(shellUrls().map(url =>
+        // One missing file shouldn't stop the rest from being cached
+        cache.add(url).catch(error => console.warn(`Precache failed for ${url}:`, error))
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(`${CACHE_PREFIX}shell-`) && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (url.origin === self.location.origin && url.pathname.endsWith('/api/cube_location')) {
+    event.respondWith(cubeLocation(request));
+  } else if (url.origin === self.location.origin && /\/geojson\/[^/]+$/.test(url.pathname)) {
+    event.respondWith(revalidate(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(tile(request));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/api/') && !url.pathname.includes('/api/geojson/')) {
+    return; // Live endpoints such as the location stream never come from the cache
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, new URL('./', self.location).href));
+  } else if (url.origin === self.location.origin || LEAFLET.includes(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Anything else (external APIs) goes straight to the network
+});
+
+// Downloaded map tiles first, so the base map works with no signal
+function tile(request) {
+  return caches.open(TILE_CACHE)
+    .then(cache => cache.match(request.url))
+    .then(cached => cached || fetch(request));
+}
+
+// Fresh page when we can get it, so config and injected data are current
+function networkFirst(request, fallbackUrl) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(fallbackUrl, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(fallbackUrl).then(cached => cached || Response.error()));
+}
+
+// Precached assets; anything missed is cached the first time it loads
+function cacheFirst(request) {
+  return caches.match(request).then(cached => {
+    if (cached) return cached;
+    
+    return fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    });
+  });
+}
+
+// Cached dataset unless the server says it changed; a 304 costs a round trip, not the download
+function revalidate(request) {
+  return caches.match(request).then(cached => {
+    const headers = {};
+    if (cached && cached.headers.get('ETag')) headers['If-None-Match'] = cached.headers.get('ETag');
+    if (cached && cached.headers.get('Last-Modified')) headers['If-Modified-Since'] = cached.headers.get('Last-Modified');
+    
+    return fetch(request.url, { headers: headers, cache: 'no-store' })
+      .then(response => {
+        if (response.status === 304 && cached) return cached;
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(error => {
+        if (cached) return cached;
+        throw error;
+      });
+  });
+}
+
+// Network first; offline we answer with the last location, marked stale the way the
+// server marks its own stale cache, plus offline so MapData knows the API is unreachable
+function cubeLocation(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        const headers = new Headers(copy.headers);
+        headers.set('X-Cached-At', new Date().toISOString());
+        
+        copy.blob().then(body => caches.open(DATA_CACHE)
+          .then(cache => cache.put(request.url, new Response(body, { status: 200, headers: headers }))));
+      }
+      return response;
+    })
+    .catch(error => caches.open(DATA_CACHE)
+      .then(cache => cache.match(request.url))
+      .then(cached => {
+        if (!cached) throw error;
+        
+        const cachedAt = cached.headers.get('X-Cached-At');
+        return cached.json().then(data => new Response(JSON.stringify(Object.assign(data, {
+          cached: true,
+          stale: true,
+          offline: true,
+          cache_age: cachedAt ? Math.round((Date.now() - new Date(cachedAt)) / 1000) : null,
+          cache_expires_in: 0
+        })), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json', 'X-Served-By': 'service-worker' }
+        }));
+      }));
+}
@@ -9,6 +9,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const CityGeometry = require('../public/javascripts/city_geometry.js');
 
 // Configuration
 const TEMPLATE_FILE = 'static-template.html';
@@ -16,18 +17,16 @@ const OUTPUT_FILE = 'index.html';
 const LOCATION_FILE = 'location.json';
 const LANDMARKS_FILE = 'landmarks.json';
 const INJECTION_MARKER = '<!--DATA_INJECTION_POINT-->';
+const BURN_YEAR = parseInt(process.env.BURN_YEAR, 10) || CityGeometry.defaultYear;
 
 /**
- * Safely escape JSON for embedding in JavaScript
+ * Safely embed JSON as a JavaScript literal inside a <script> tag
  */
 function escapeJsonForJs(jsonData) {
   return JSON.stringify(jsonData)
-    .replace(/\\/g, '\\\\')   // Escape backslashes
-    .replace(/'/g, "\\'")     // Escape single quotes
-    .replace(/"/g, '\\"')     // Escape double quotes
-    .replace(/\n/g, '\\n')    // Escape newlines
-    .replace(/\r/g, '\\r')    // Escape carriage returns
-    .replace(/\t/g, '\\t');   // Escape tabs
+    .replace(/</g, '\\u003c')       // Can't close the <script> tag
+    .replace(/\u2028/g, '\\u2028')  // Line separators aren't valid in older JS string literals
+    .replace(/\u2029/g, '\\u2029');
 }
 
 /**
@@ -56,6 +55,7 @@ window.LANDMARKS_DATA = ${escapeJsonForJs(landmarksData)};
 window.LAST_UPDATE = "${timestamp}";
 window.STATIC_MODE = true;
 window.BUILD_TIMESTAMP = "${timestamp}";
+window.BURN_YEAR = ${BURN_YEAR}; // City geometry the fallback data was built for
 
 // Validate injected data
 try {
@@ -76,13 +76,26 @@ try {
 </script>`;
 }
 
+/**
+ * Approximate distance in feet between two points (fine at city scale)
+ */
+function distanceFeet(from, to) {
+  const metersPerDegree = 6371000 * Math.PI / 180;
+  const dx = (to.lng - from.lng) * Math.cos(from.lat * Math.PI / 180) * metersPerDegree;
+  const dy = (to.lat - from.lat) * metersPerDegree;
+  return Math.round(Math.sqrt(dx * dx + dy * dy) * 3.28084);
+}
+
 /**
  * Create fallback data when real data is unavailable
  */
-function createFallbackData() {
+function createFallbackData(year = BURN_YEAR) {
+  const geometry = CityGeometry.forYear(year);
+  const { goldenSpike, temple, centerCamp } = geometry;
+
   const fallbackLocation = {
-    lat: 40.7864,
-    lng: -119.2065,
+    lat: centerCamp.lat,
+    lng: centerCamp.lng,
     timestamp: new Date().toISOString(),
     source: "fallback",
     zone: "center_camp", 
@@ -101,23 +114,23 @@ function createFallbackData() {
       }
     ],
     within_fence: true,
-    distance_from_man: "2400 feet",
+    distance_from_man: `${distanceFeet(goldenSpike, centerCamp)} feet`,
     lat_lng: {
-      lat: 40.7864,
-      lng: -119.2065
+      lat: centerCamp.lat,
+      lng: centerCamp.lng
     },
     error: "Using fallback data - API unavailable at build time"
   };
 
   const fallbackLandmarks = {
-    source: "Fallback demo data",
+    source: `Fallback demo data (${geometry.year} city geometry)`,
     generated_at: new Date().toISOString(),
     count: 3,
     landmarks: [
       {
         name: "The Man",
-        lat: 40.78696344894566,
-        lng: -119.20300709606865,
+        lat: goldenSpike.lat,
+        lng: goldenSpike.lng,
         type: "center",
         icon: "🔥",
         radius: 20,
@@ -125,8 +138,8 @@ function createFallbackData() {
       },
       {
         name: "The Temple", 
-        lat: 40.79181515231499,
-        lng: -119.19662192527863,
+        lat: temple.lat,
+        lng: temple.lng,
         type: "sacred",
         icon: "🏛️",
         radius: 20,
@@ -134,8 +147,8 @@ function createFallbackData() {
       },
       {
         name: "Center Camp",
-        lat: 40.78108859485657,
-        lng: -119.21073542116683,
+        lat: centerCamp.lat,
+        lng: centerCamp.lng,
         type: "gathering",
         icon: "🏕️", 
         radius: 50,
@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+
+/**
+ * Local Stand-in Server for the GlitchCube Map
+ *
+ * Serves the map, /api/cube_location, /api/cube_history, the /api/cube_location/stream event stream and the
+ * /api/cube_location/ws WebSocket (with presence counts) from a fake cube, so live updates can be tried without the Sinatra app or a real GPS fix. It also
+ * answers the upstream GlitchCube GPS endpoint, so the Sinatra app can point at it instead. Locations and
+ * files carry ETags and answer If-None-Match with a 304, like the Sinatra app.
+ *
+ *   node scripts/stand-in-server.cjs
+ *   curl -X POST localhost:4567/dev/fix -d '{"lat":40.7864,"lng":-119.2065}'
+ *
+ * Environment:
+ *   PORT       Port to listen on (default 4567, the Sinatra app's default GLITCHCUBE_API_URL)
+ *   WALK       Move the cube a few metres every WALK seconds
+ *   NO_STREAM  Refuse the event stream with a 503, to exercise the polling fallback
+ *   TRANSPORT  MAP_CONFIG.transport for the map page, e.g. websocket
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const CityGeometry = require('../public/javascripts/city_geometry.js');
+
+// Configuration
+const PORT = parseInt(process.env.PORT, 10) || 4567;
+const WALK_SECONDS = parseFloat(process.env.WALK) || 0;
+const NO_STREAM = Boolean(process.env.NO_STREAM);
+const DEVICE_ID = 'cube'; // The one fake device
+const HEARTBEAT_SECONDS = 15;
+const SOCKET_TIMEOUT_SECONDS = 45; // Sockets without a presence heartbeat for this long are dropped
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const VIEW_FILE = path.join(__dirname, '..', 'sinatra-app', 'views', 'map.erb');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.geojson': 'application/json',
+  '.png': 'image/png'
+};
+
+// Stands in for the MAP_CONFIG script the Sinatra view renders from its ERB locals
+const MAP_CONFIG = {
+  glitchcubeApiUrl: `http://localhost:${PORT}`,
+  updateInterval: 30 * 1000,
+  year: null,
+  basemap: null,
+  transport: process.env.TRANSPORT || null,
+  devices: [{ id: DEVICE_ID, name: 'GlitchCube' }],
+  assetVersion: `stand-in-${Date.now()}`
+};
+
+let currentFix = null;
+const history = []; // Every fix, for /api/cube_history
+const streams = new Set();
+const sockets = new Set();
+
+/**
+ * Build a fix in the shape the GlitchCube API returns
+ */
+function makeFix(lat, lng) {
+  return {
+    lat: lat,
+    lng: lng,
+    timestamp: new Date().toISOString(),
+    source: 'stand-in',
+    address: 'Stand-in fix',
+    within_fence: true
+  };
+}
+
+/**
+ * Replace the current fix and push it to every open stream
+ */
+function setFix(fix) {
+  currentFix = fix;
+  history.push(fix);
+  streams.forEach(res => sendFix(res));
+  sockets.forEach(socket => sendSocketFix(socket));
+  console.log(`📍 ${fix.lat.toFixed(5)}, ${fix.lng.toFixed(5)} -> ${streams.size} stream(s), ${sockets.size} socket(s)`);
+}
+
+/**
+ * Event id for the current fix: "<device>@<timestamp>", as the Sinatra app's location_event_id
+ */
+function fixEventId() {
+  return `${DEVICE_ID}@${currentFix.timestamp}`;
+}
+
+/**
+ * Write one location event
+ */
+function sendFix(res) {
+  res.write(`id: ${fixEventId()}\nevent: location\ndata: ${JSON.stringify(currentFix)}\n\n`);
+}
+
+/**
+ * Send JSON with the CORS header the Sinatra API adds
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  }, headers));
+  res.end(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Answer 304 when the request's If-None-Match names this ETag; true if it did
+ */
+function sendNotModified(req, res, etag) {
+  if (req.headers['if-none-match'] !== etag) return false;
+  
+  res.writeHead(304, { ETag: etag, 'Access-Control-Allow-Origin': '*' });
+  res.end();
+  return true;
+}
+
+/**
+ * The current fix, with an ETag that changes only when the fix does
+ */
+function sendLocation(req, res) {
+  const etag = `W/"${currentFix.timestamp}"`;
+  if (!sendNotModified(req, res, etag)) {
+    sendJson(res, 200, currentFix, { ETag: etag });
+  }
+}
+
+/**
+ * Serve a file from public/, refusing paths that escape it
+ */
+function sendFile(req, res, relativePath) {
+  const file = path.join(PUBLIC_DIR, relativePath);
+  if (!file.startsWith(PUBLIC_DIR + path.sep)) {
+    return sendJson(res, 400, { error: 'Invalid path' });
+  }
+  
+  fs.stat(file, (statError, stats) => {
+    const etag = stats && `"${Math.floor(stats.mtimeMs).toString(16)}-${stats.size.toString(16)}"`;
+    if (etag && sendNotModified(req, res, etag)) return;
+    
+    fs.readFile(file, (error, content) => {
+      if (error) {
+        return sendJson(res, 404, { error: 'Not found', path: relativePath });
+      }
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream', ETag: etag });
+      res.end(content);
+    });
+  });
+}
+
+/**
+ * The Sinatra view with its whole MAP_CONFIG object swapped for the stand-in's, so edits to the
+ * ERB expressions inside it don't matter. ERB anywhere else is an error, not a half-rendered page.
+ */
+function renderMap(res) {
+  const html = fs.readFileSync(VIEW_FILE, 'utf8')
+    .replace(/window\.MAP_CONFIG = \{[\s\S]*?\n\s*\};/, `window.MAP_CONFIG = ${JSON.stringify(MAP_CONFIG, null, 2)};`);
+  
+  if (html.includes('<%')) {
+    return sendJson(res, 500, { error: `${path.basename(VIEW_FILE)} has ERB outside its MAP_CONFIG script` });
+  }
+  
+  res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+  res.end(html);
+}
+
+/**
+ * Fixes after ?since=, in pages of ?limit= (same contract as the Sinatra app)
+ */
+function sendHistory(res, url) {
+  const sinceParam = url.searchParams.get('since');
+  const since = sinceParam && (/^\d+$/.test(sinceParam) ? Number(sinceParam) : Date.parse(sinceParam));
+  if (sinceParam && isNaN(since)) {
+    return sendJson(res, 400, { error: 'Invalid since, use ISO 8601 or milliseconds since epoch' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 1000, 1), 1000);
+  const fixes = history.filter(fix => !since || Date.parse(fix.timestamp) > since);
+  sendJson(res, 200, {
+    fixes: fixes.slice(0, limit),
+    count: Math.min(fixes.length, limit),
+    truncated: fixes.length > limit,
+    since: since ? new Date(since).toISOString() : null,
+    until: new Date().toISOString()
+  });
+}
+
+/**
+ * Hold an event stream open; resend the fix only if the client's Last-Event-ID is out of date
+ */
+function openStream(req, res, url) {
+  if (NO_STREAM) {
+    res.writeHead(503, { 'Retry-After': '300', 'Content-Type': 'text/plain' });
+    return res.end('Streams disabled (NO_STREAM)');
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write('retry: 5000\n\n');
+  
+  const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+  if (currentFix && fixEventId() !== lastEventId) {
+    sendFix(res);
+  }
+  
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+  streams.add(res);
+  console.log(`🔌 Stream opened (${streams.size} open, Last-Event-ID ${lastEventId || 'none'})`);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streams.delete(res);
+    console.log(`🔌 Stream closed (${streams.size} open)`);
+  });
+}
+
+/**
+ * Send one unmasked WebSocket frame (text unless another opcode is given)
+ */
+function sendFrame(socket, payload, opcode = 0x1) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(data.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  
+  if (!socket.destroyed) {
+    socket.write(Buffer.concat([header, data]));
+  }
+}
+
+function sendMessage(socket, message) {
+  sendFrame(socket, JSON.stringify(message));
+}
+
+function sendSocketFix(socket) {
+  sendMessage(socket, { type: 'location', id: fixEventId(), data: currentFix });
+}
+
+function broadcastPresence() {
+  sockets.forEach(socket => sendMessage(socket, { type: 'presence', watchers: sockets.size }));
+}
+
+/**
+ * Split complete client frames (always masked) off the front of the buffer
+ */
+function readFrames(buffer, onFrame) {
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (buffer.length < offset + 4 + length) break;
+    
+    const mask = buffer.slice(offset, offset + 4);
+    const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length).map((byte, i) => byte ^ mask[i % 4]));
+    onFrame(opcode, payload);
+    buffer = buffer.slice(offset + 4 + length);
+  }
+  return buffer;
+}
+
+/**
+ * Accept a WebSocket on /api/cube_location/ws, following the Sinatra app's LocationSocket:
+ * fixes are pushed as they change and every presence heartbeat gets the watcher count back
+ */
+function openSocket(req, socket) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const key = req.headers['sec-websocket-key'];
+  if (url.pathname !== '/api/cube_location/ws' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  
+  socket.lastSeen = Date.now();
+  sockets.add(socket);
+  console.log(`🔌 Socket opened (${sockets.size} open)`);
+  broadcastPresence();
+  if (fixEventId() !== url.searchParams.get('lastEventId')) {
+    sendSocketFix(socket);
+  }
+  
+  let pending = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    pending = readFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+      if (opcode === 0x8) {
+        sendFrame(socket, '', 0x8);
+        socket.end();
+      } else if (opcode === 0x9) {
+        sendFrame(socket, payload, 0xa);
+      } else if (opcode === 0x1) {
+        try {
+          if (JSON.parse(payload.toString()).type === 'presence') {
+            socket.lastSeen = Date.now();
+            sendMessage(socket, { type: 'presence', watchers: sockets.size });
+          }
+        } catch (error) {
+          // Ignore anything that isn't a heartbeat
+        }
+      }
+    });
+  });
+  
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    if (sockets.delete(socket)) {
+      console.log(`🔌 Socket closed (${sockets.size} open)`);
+      broadcastPresence();
+    }
+  });
+}
+
+/**
+ * POST /dev/fix with {"lat": ..., "lng": ...}
+ */
+function receiveFix(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      const { lat, lng } = JSON.parse(body);
+      if (typeof lat !== 'number' || typeof lng !== 'number') {
+        throw new Error('lat and lng must be numbers');
+      }
+      setFix(makeFix(lat, lng));
+      sendJson(res, 200, currentFix);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+}
+
+function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const route = `${req.method} ${url.pathname}`;
+  const geojson = url.pathname.match(/^\/api\/geojson\/([a-z0-9_]+)$/);
+  
+  if (route === 'GET /' || route === 'GET /map') {
+    renderMap(res);
+  } else if (route === 'GET /api/cube_location' || route === 'GET /api/v1/gps/location.json') {
+    sendLocation(req, res);
+  } else if (route === 'GET /api/cube_history') {
+    sendHistory(res, url);
+  } else if (route === 'GET /api/cube_location/stream') {
+    openStream(req, res, url);
+  } else if (route === 'POST /dev/fix') {
+    receiveFix(req, res);
+  } else if (req.method === 'GET' && geojson) {
+    const dataset = ['geojson', 'json'].map(ext => `geojson/${geojson[1]}.${ext}`)
+      .find(file => fs.existsSync(path.join(PUBLIC_DIR, file)));
+    sendFile(req, res, dataset || `geojson/${geojson[1]}.geojson`);
+  } else if (req.method === 'GET') {
+    let file;
+    try {
+      file = decodeURIComponent(url.pathname);
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message, path: url.pathname });
+    }
+    sendFile(req, res, file);
+  } else {
+    sendJson(res, 404, { error: 'Not found', path: url.pathname });
+  }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const { centerCamp } = CityGeometry.forYear(CityGeometry.defaultYear);
+  setFix(makeFix(centerCamp.lat, centerCamp.lng));
+  
+  if (WALK_SECONDS > 0) {
+    // Roughly 10 m per step in a random direction
+    setInterval(() => {
+      const angle = Math.random() * 2 * Math.PI;
+      setFix(makeFix(currentFix.lat + Math.sin(angle) * 0.00009, currentFix.lng + Math.cos(angle) * 0.00012));
+    }, WALK_SECONDS * 1000);
+  }
+  
+  // Drop sockets that stopped sending heartbeats
+  setInterval(() => {
+    sockets.forEach(socket => {
+      if (Date.now() - socket.lastSeen > SOCKET_TIMEOUT_SECONDS * 1000) {
+        socket.destroy();
+      }
+    });
+  }, HEARTBEAT_SECONDS * 1000);
+  
+  const server = http.createServer(handleRequest);
+  server.on('upgrade', openSocket);
+  server.listen(PORT, () => {
+    console.log('🎲 GlitchCube Stand-in Server');
+    console.log(`🗺️  Map:    http://localhost:${PORT}/`);
+    console.log(`📡 Stream: http://localhost:${PORT}/api/cube_location/stream${NO_STREAM ? ' (disabled)' : ''}`);
+    console.log(`🔌 Socket: ws://localhost:${PORT}/api/cube_location/ws${process.env.TRANSPORT === 'websocket' ? '' : ' (map uses it with TRANSPORT=websocket)'}`);
+    console.log(`📍 Move the cube: curl -X POST localhost:${PORT}/dev/fix -d '{"lat":40.7864,"lng":-119.2065}'`);
+  });
+}
+
+main();
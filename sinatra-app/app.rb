@@ -3,9 +3,12 @@
 
 require 'sinatra'
 require 'sinatra/reloader' if development?
+require 'digest'
 require 'json'
 require 'net/http'
+require 'time'
 require 'uri'
+require_relative 'location_socket'
 
 # External Cube Map App
 # Lightweight Sinatra app for displaying GlitchCube location on external servers
@@ -24,11 +27,46 @@ class ExternalCubeMapApp < Sinatra::Base
   GLITCHCUBE_API_BASE = ENV['GLITCHCUBE_API_URL'] || 'http://localhost:4567'
   UPDATE_INTERVAL = ENV['UPDATE_INTERVAL_SECONDS']&.to_i || 300 # 5 minutes default for frontend
   CACHE_DURATION = ENV['CACHE_DURATION_SECONDS']&.to_i || 300 # 5 minutes default
+  BURN_YEAR = ENV['BURN_YEAR']&.to_i # City geometry year, defaults to the latest manifest
+  BASEMAP = ENV['BASEMAP'] # Starting base map, e.g. 'local' for tiles in public/tiles
+  ASSET_VERSION = ENV['ASSET_VERSION'] || Time.now.to_i.to_s # Service worker cache version, changes on each deploy
+  TRANSPORT = ENV['TRANSPORT'] # Location transport for the map: sse (default), websocket or polling
+
+  # Devices on the map. DEVICES is a JSON list of {"id", "name", "color", "icon", "api_url"};
+  # without it the map tracks one cube at GLITCHCUBE_API_URL. The first device is the default
+  # for ?device= and for fixes that don't say which device they're from.
+  DEVICES = (ENV['DEVICES'] ? JSON.parse(ENV['DEVICES']) : [{ 'id' => 'cube', 'name' => 'GlitchCube' }]).map do |device|
+    raise ArgumentError, "DEVICES: invalid id #{device['id'].inspect}" unless device['id'].to_s.match?(/\A[\w-]+\z/)
+
+    { 'api_url' => GLITCHCUBE_API_BASE }.merge(device).freeze
+  end.freeze
+
+  # Server-Sent Events stream: each client holds a Puma thread, so cap them and recycle streams
+  STREAM_POLL_SECONDS = ENV['STREAM_POLL_SECONDS']&.to_i || 5 # How often streams check the API for a new fix
+  STREAM_HEARTBEAT_SECONDS = 15
+  STREAM_MAX_SECONDS = ENV['STREAM_MAX_SECONDS']&.to_i || 300 # Clients reconnect with Last-Event-ID
+  STREAM_MAX_CLIENTS = ENV['STREAM_MAX_CLIENTS']&.to_i || 20 # Beyond this, clients fall back to polling
+  SOCKET_MAX_CLIENTS = ENV['SOCKET_MAX_CLIENTS']&.to_i || 200 # WebSockets don't hold Puma threads, so allow more
+
+  # Every fix fetched from the API, served by /api/cube_history so new visitors see the whole route
+  HISTORY_MAX_FIXES = ENV['HISTORY_MAX_FIXES']&.to_i || 50_000
+  HISTORY_FILE = ENV['HISTORY_FILE'] # Optional JSON-lines file so the history survives restarts
+  HISTORY_PAGE_SIZE = 1000
+
+  # In-memory cache for location data, per device so one slow API doesn't hold up the others
+  @@location_cache = DEVICES.to_h do |device|
+    [device['id'], { data: nil, last_fetch: nil, mutex: Mutex.new }]
+  end
 
-  # In-memory cache for location data
-  @@location_cache = {
-    data: nil,
-    last_fetch: nil,
+  # Recorded fixes per device id, oldest first (loaded from HISTORY_FILE on first use)
+  @@location_history = {
+    fixes: nil,
+    mutex: Mutex.new
+  }
+
+  # Open location streams
+  @@stream_clients = {
+    count: 0,
     mutex: Mutex.new
   }
 
@@ -36,7 +74,8 @@ class ExternalCubeMapApp < Sinatra::Base
   before '/api/*' do
     headers 'Access-Control-Allow-Origin' => '*'
     headers 'Access-Control-Allow-Methods' => 'GET, POST, OPTIONS'
-    headers 'Access-Control-Allow-Headers' => 'Content-Type'
+    headers 'Access-Control-Allow-Headers' => 'Content-Type, If-None-Match'
+    headers 'Access-Control-Expose-Headers' => 'ETag'
   end
 
   # Handle preflight CORS requests
@@ -48,18 +87,128 @@ class ExternalCubeMapApp < Sinatra::Base
   get '/' do
     erb :map, locals: {
       glitchcube_api_url: GLITCHCUBE_API_BASE,
-      update_interval: UPDATE_INTERVAL
+      update_interval: UPDATE_INTERVAL,
+      burn_year: BURN_YEAR,
+      basemap: BASEMAP,
+      asset_version: ASSET_VERSION,
+      transport: TRANSPORT,
+      devices: DEVICES.map { |device| device.except('api_url') }
     }
   end
 
-  # API endpoint to get cached GlitchCube location
+  # API endpoint to get cached GlitchCube location (?device= for another device)
   get '/api/cube_location' do
     content_type :json
 
     # Add cache headers for client-side caching
     headers 'Cache-Control' => 'public, max-age=60' # 1 minute client cache
 
-    json(get_cached_location)
+    # The fix decides the ETag, not the cache timings around it, so an If-None-Match poll
+    # gets a 304 until the cube reports again
+    location = get_cached_location(requested_device)
+    event_id = location_event_id(location)
+    etag(Digest::SHA1.hexdigest("#{event_id}#{':stale' if location[:stale]}"), kind: :weak) if event_id
+
+    json(location)
+  end
+
+  # Live location stream (text/event-stream) for every device. Sends a `location` event whenever
+  # a device's fix changes; the event id is "<device>@<timestamp>" so a reconnect resumes that
+  # device via Last-Event-ID (the others send their current fix again).
+  get '/api/cube_location/stream' do
+    unless acquire_stream_slot
+      headers 'Retry-After' => STREAM_MAX_SECONDS.to_s
+      halt 503, 'Too many location streams, use /api/cube_location'
+    end
+
+    content_type 'text/event-stream'
+    headers 'Cache-Control' => 'no-cache', 'X-Accel-Buffering' => 'no'
+    last_event_ids = resumed_event_ids(request.env['HTTP_LAST_EVENT_ID'] || params['lastEventId'])
+
+    stream do |out|
+      started = Time.now
+      last_write = Time.now
+      out << "retry: #{STREAM_POLL_SECONDS * 1000}\n\n"
+
+      until out.closed? || Time.now - started > STREAM_MAX_SECONDS
+        DEVICES.each do |device|
+          location = get_cached_location(device, STREAM_POLL_SECONDS)
+          event_id = location_event_id(location)
+          next unless event_id && event_id != last_event_ids[device['id']]
+
+          out << "id: #{event_id}\nevent: location\ndata: #{JSON.generate(location)}\n\n"
+          last_event_ids[device['id']] = event_id
+          last_write = Time.now
+        end
+
+        if Time.now - last_write >= STREAM_HEARTBEAT_SECONDS
+          out << ": heartbeat\n\n"
+          last_write = Time.now
+        end
+
+        sleep STREAM_POLL_SECONDS
+      end
+    rescue IOError, Errno::EPIPE, Errno::ECONNRESET
+      # Client went away
+    ensure
+      release_stream_slot
+    end
+  end
+
+  # Location WebSocket: pushes fixes like the stream and counts watchers from their presence
+  # heartbeats (see location_socket.rb)
+  get '/api/cube_location/ws' do
+    halt 426, 'Expected a WebSocket upgrade' unless WebSocket::Driver.websocket?(env)
+    halt 503, 'Too many location sockets, use /api/cube_location' if LocationSocket.count >= SOCKET_MAX_CLIENTS
+
+    LocationSocket.start_broadcaster(STREAM_POLL_SECONDS) do
+      DEVICES.map do |device|
+        location = get_cached_location(device, STREAM_POLL_SECONDS)
+        [device['id'], location, location_event_id(location)]
+      end
+    end
+
+    socket = LocationSocket.new(env)
+    socket.run
+
+    # Catch up a new or reconnecting client straight away
+    resumed = resumed_event_ids(params['lastEventId'])
+    DEVICES.each do |device|
+      location = get_cached_location(device)
+      event_id = location_event_id(location)
+      socket.send_message(type: 'location', id: event_id, data: location) if event_id && event_id != resumed[device['id']]
+    end
+
+    # Puma owns nothing on a hijacked connection, so there's no response to send
+    [-1, {}, []]
+  end
+
+  # Fixes recorded after ?since= (ISO 8601 or ms since epoch), oldest first. A page holds at most
+  # ?limit= fixes; when `truncated` is true, ask again with the last fix's timestamp as `since`.
+  # `until` is the server time the history is complete up to. ?device= picks the device.
+  get '/api/cube_history' do
+    content_type :json
+    device = requested_device
+
+    since = parse_history_time(params['since'])
+    if params['since'] && !since
+      status 400
+      return json({ error: 'Invalid since, use ISO 8601 or milliseconds since epoch' })
+    end
+
+    limit = (params['limit'] || HISTORY_PAGE_SIZE).to_i.clamp(1, HISTORY_PAGE_SIZE)
+
+    # Record the current fix first if the cache is due a refresh
+    get_cached_location(device)
+    fixes = history_since(device['id'], since)
+
+    json({
+           fixes: fixes.first(limit),
+           count: [fixes.size, limit].min,
+           truncated: fixes.size > limit,
+           since: since&.utc&.iso8601(3),
+           until: Time.now.utc.iso8601(3)
+         })
   end
 
   # Serve bundled GeoJSON files
@@ -72,11 +221,14 @@ class ExternalCubeMapApp < Sinatra::Base
       return json({ error: 'Invalid dataset name' })
     end
 
-    geojson_file = File.join('public', 'geojson', "#{dataset}.geojson")
+    # Most datasets are .geojson; the landmarks list is plain .json
+    geojson_file = %w[geojson json].map { |ext| File.join('public', 'geojson', "#{dataset}.#{ext}") }
+                                   .find { |file| File.exist?(file) }
 
-    if File.exist?(geojson_file)
+    if geojson_file
       # Cache static files for 1 hour
       headers 'Cache-Control' => 'public, max-age=3600'
+      etag "#{File.mtime(geojson_file).to_i.to_s(16)}-#{File.size(geojson_file).to_s(16)}"
       send_file geojson_file
     else
       status 404
@@ -88,14 +240,16 @@ class ExternalCubeMapApp < Sinatra::Base
   get '/health' do
     content_type :json
 
-    # Get cache status
-    cache_status = @@location_cache[:mutex].synchronize do
-      {
-        has_data: !@@location_cache[:data].nil?,
-        last_fetch: @@location_cache[:last_fetch]&.utc&.iso8601,
-        cache_age: @@location_cache[:last_fetch] ? (Time.now - @@location_cache[:last_fetch]).round(1) : nil,
-        is_fresh: @@location_cache[:last_fetch] && (Time.now - @@location_cache[:last_fetch]) < CACHE_DURATION
-      }
+    # Get cache status per device
+    cache_status = @@location_cache.transform_values do |cache|
+      cache[:mutex].synchronize do
+        {
+          has_data: !cache[:data].nil?,
+          last_fetch: cache[:last_fetch]&.utc&.iso8601,
+          cache_age: cache[:last_fetch] ? (Time.now - cache[:last_fetch]).round(1) : nil,
+          is_fresh: cache[:last_fetch] && (Time.now - cache[:last_fetch]) < CACHE_DURATION
+        }
+      end
     end
 
     json({
@@ -106,6 +260,9 @@ class ExternalCubeMapApp < Sinatra::Base
            update_interval: UPDATE_INTERVAL,
            cache_duration: CACHE_DURATION,
            cache_status: cache_status,
+           stream_clients: @@stream_clients[:mutex].synchronize { @@stream_clients[:count] },
+           socket_clients: LocationSocket.count,
+           history_fixes: @@location_history[:mutex].synchronize { loaded_history.transform_values(&:size) },
            timestamp: Time.now.utc.iso8601
          })
   end
@@ -142,43 +299,46 @@ class ExternalCubeMapApp < Sinatra::Base
 
   private
 
-  # Get cached location data, fetching from API if cache is stale
-  def get_cached_location
-    @@location_cache[:mutex].synchronize do
+  # Get a device's cached location, fetching from its API if the cache is older than max_age seconds
+  def get_cached_location(device, max_age = CACHE_DURATION)
+    cache = @@location_cache[device['id']]
+
+    cache[:mutex].synchronize do
       now = Time.now
 
-      # Check if cache is fresh (within CACHE_DURATION)
-      if @@location_cache[:data] &&
-         @@location_cache[:last_fetch] &&
-         (now - @@location_cache[:last_fetch]) < CACHE_DURATION
+      # Check if cache is fresh (within max_age)
+      if cache[:data] &&
+         cache[:last_fetch] &&
+         (now - cache[:last_fetch]) < max_age
 
         # Return cached data with cache metadata
-        return @@location_cache[:data].merge({
-                                               cached: true,
-                                               cache_age: (now - @@location_cache[:last_fetch]).round(1),
-                                               cache_expires_in: (CACHE_DURATION - (now - @@location_cache[:last_fetch])).round(1)
-                                             })
+        return cache[:data].merge({
+                                    cached: true,
+                                    cache_age: (now - cache[:last_fetch]).round(1),
+                                    cache_expires_in: (max_age - (now - cache[:last_fetch])).round(1)
+                                  })
       end
 
       # Cache is stale or empty, fetch fresh data
-      fresh_data = fetch_location_from_api
+      fresh_data = fetch_location_from_api(device).merge('device' => device['id'])
 
       if fresh_data[:error]
         # API failed - return cached data if we have it, otherwise return error
-        return fresh_data unless @@location_cache[:data]
+        return fresh_data unless cache[:data]
 
-        return @@location_cache[:data].merge({
-                                               cached: true,
-                                               stale: true,
-                                               cache_age: @@location_cache[:last_fetch] ? (now - @@location_cache[:last_fetch]).round(1) : nil,
-                                               api_error: fresh_data[:error]
-                                             })
+        return cache[:data].merge({
+                                    cached: true,
+                                    stale: true,
+                                    cache_age: cache[:last_fetch] ? (now - cache[:last_fetch]).round(1) : nil,
+                                    api_error: fresh_data[:error]
+                                  })
 
       end
 
       # Successfully fetched fresh data
-      @@location_cache[:data] = fresh_data
-      @@location_cache[:last_fetch] = now
+      cache[:data] = fresh_data
+      cache[:last_fetch] = now
+      record_fix(fresh_data)
 
       fresh_data.merge({
                          cached: false,
@@ -187,9 +347,108 @@ class ExternalCubeMapApp < Sinatra::Base
     end
   end
 
-  # Fetch location from main GlitchCube API
-  def fetch_location_from_api
-    uri = URI("#{GLITCHCUBE_API_BASE}/api/v1/gps/location.json")
+  # Device named by ?device=, the first device without one; 404 for a device we don't track
+  def requested_device
+    return DEVICES.first unless params['device']
+
+    DEVICES.find { |device| device['id'] == params['device'] } ||
+      halt(404, json({ error: "Unknown device '#{params['device']}'" }))
+  end
+
+  # Event id for a fix: device and timestamp, or coordinates when the API sends no timestamp
+  def location_event_id(location)
+    return nil if location[:error]
+
+    "#{location['device']}@#{location['timestamp'] || [location['lat'], location['lng']].join(',')}"
+  end
+
+  # Last event ids per device id from a Last-Event-ID, which names one device's last fix
+  def resumed_event_ids(last_event_id)
+    return {} unless last_event_id
+
+    { last_event_id.split('@', 2).first => last_event_id }
+  end
+
+  # Time from a ?since= value or a fix timestamp, nil if it can't be read
+  def parse_history_time(value)
+    return nil if value.nil? || value.to_s.strip.empty?
+    return Time.at(value.to_i / 1000.0) if value.to_s.match?(/\A\d+\z/)
+
+    Time.parse(value.to_s)
+  rescue ArgumentError
+    nil
+  end
+
+  # Fixes per device id. Call with @@location_history[:mutex] held.
+  def loaded_history
+    @@location_history[:fixes] ||= begin
+      lines = HISTORY_FILE && File.exist?(HISTORY_FILE) ? File.readlines(HISTORY_FILE) : []
+      fixes = lines.filter_map do |line|
+        JSON.parse(line)
+      rescue JSON::ParserError
+        nil
+      end
+
+      # Files from before multiple devices only hold the first device's fixes
+      grouped = fixes.group_by { |fix| fix['device'] || DEVICES.first['id'] }
+      DEVICES.to_h { |device| [device['id'], (grouped[device['id']] || []).last(HISTORY_MAX_FIXES)] }
+    end
+  end
+
+  # Add a fix unless it repeats the device's last one (same timestamp, or it hasn't moved)
+  def record_fix(location)
+    return unless location['lat'] && location['lng']
+
+    time = parse_history_time(location['timestamp']) || Time.now
+    fix = {
+      'device' => location['device'],
+      'lat' => location['lat'],
+      'lng' => location['lng'],
+      'timestamp' => time.utc.iso8601(3),
+      'address' => location['address'],
+      'context' => location['context']
+    }.compact
+
+    @@location_history[:mutex].synchronize do
+      fixes = loaded_history[fix['device']]
+      last = fixes.last
+      return if last && (last['timestamp'] == fix['timestamp'] ||
+                         (last['lat'] == fix['lat'] && last['lng'] == fix['lng']))
+
+      fixes << fix
+      fixes.shift(fixes.size - HISTORY_MAX_FIXES) if fixes.size > HISTORY_MAX_FIXES
+      File.open(HISTORY_FILE, 'a') { |file| file.puts(JSON.generate(fix)) } if HISTORY_FILE
+    end
+  rescue SystemCallError => e
+    warn "Could not write #{HISTORY_FILE}: #{e.message}"
+  end
+
+  # Timestamps are all UTC ISO 8601 with milliseconds, so they compare as strings
+  def history_since(device_id, since)
+    @@location_history[:mutex].synchronize do
+      fixes = loaded_history[device_id]
+      since ? fixes.select { |fix| fix['timestamp'] > since.utc.iso8601(3) } : fixes.dup
+    end
+  end
+
+  def acquire_stream_slot
+    @@stream_clients[:mutex].synchronize do
+      return false if @@stream_clients[:count] >= STREAM_MAX_CLIENTS
+
+      @@stream_clients[:count] += 1
+      true
+    end
+  end
+
+  def release_stream_slot
+    @@stream_clients[:mutex].synchronize do
+      @@stream_clients[:count] -= 1
+    end
+  end
+
+  # Fetch a device's location from its GlitchCube API
+  def fetch_location_from_api(device)
+    uri = URI("#{device['api_url']}/api/v1/gps/location.json")
     http = Net::HTTP.new(uri.host, uri.port)
     http.use_ssl = uri.scheme == 'https'
     http.read_timeout = 30
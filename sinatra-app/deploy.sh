@@ -71,5 +71,5 @@ echo ""
 echo "Press Ctrl+C to stop"
 echo ""
 
-# Run with Puma
-bundle exec puma config.ru -p ${PORT} -e ${RACK_ENV}
\ No newline at end of file
+# Run with Puma, with enough threads for location streams
+bundle exec puma config.ru -p ${PORT} -e ${RACK_ENV} -t 4:32
\ No newline at end of file
@@ -0,0 +1,144 @@
+# frozen_string_literal: true
+
+require 'json'
+require 'websocket/driver'
+
+# WebSocket connection for /api/cube_location/ws
+#
+# Runs on a hijacked Rack socket with its own reader thread, so an open socket doesn't hold a
+# Puma thread the way an event stream does. Server -> client messages:
+#   {"type":"location","id":"...","data":{...}}  a new fix for one device (id as in the event stream)
+#   {"type":"presence","watchers":3}             sockets still sending heartbeats
+# Clients send {"type":"presence"} every HEARTBEAT_SECONDS; silent sockets are dropped.
+class LocationSocket
+  HEARTBEAT_SECONDS = 15
+  TIMEOUT_SECONDS = HEARTBEAT_SECONDS * 3
+
+  @sockets = []
+  @mutex = Mutex.new
+  @broadcaster = nil
+
+  class << self
+    def count
+      @mutex.synchronize { @sockets.size }
+    end
+
+    def add(socket)
+      @mutex.synchronize { @sockets << socket }
+      broadcast_presence
+    end
+
+    def remove(socket)
+      removed = @mutex.synchronize { @sockets.delete(socket) }
+      broadcast_presence if removed
+    end
+
+    def broadcast(message)
+      @mutex.synchronize { @sockets.dup }.each { |socket| socket.send_message(message) }
+    end
+
+    def broadcast_presence
+      broadcast(type: 'presence', watchers: count)
+    end
+
+    # One thread for every socket: pushes new fixes and drops clients that stopped sending
+    # heartbeats. The block returns [device_id, location, event_id] for each device.
+    def start_broadcaster(poll_seconds, &fetch_locations)
+      @mutex.synchronize do
+        return if @broadcaster&.alive?
+
+        @broadcaster = Thread.new do
+          last_event_ids = {}
+
+          loop do
+            sleep poll_seconds
+            @mutex.synchronize { @sockets.select(&:silent?) }.each(&:close)
+            next if count.zero?
+
+            fetch_locations.call.each do |device_id, location, event_id|
+              next unless event_id && event_id != last_event_ids[device_id]
+
+              broadcast(type: 'location', id: event_id, data: location)
+              last_event_ids[device_id] = event_id
+            end
+          rescue StandardError => e
+            warn "Location socket broadcaster: #{e.message}"
+          end
+        end
+      end
+    end
+  end
+
+  attr_reader :env
+
+  def initialize(env)
+    @env = env
+    @io = env['rack.hijack'].call
+    @write_lock = Mutex.new
+    @last_seen = Time.now
+    @finished = false
+
+    @driver = WebSocket::Driver.rack(self)
+    @driver.on(:message) { |event| receive(event.data) }
+    @driver.on(:close) { finish }
+  end
+
+  # Called by the driver with handshake and frame bytes
+  def write(data)
+    @write_lock.synchronize { @io.write(data) }
+  rescue IOError, Errno::EPIPE, Errno::ECONNRESET
+    finish
+  end
+
+  def url
+    scheme = env['HTTPS'] == 'on' ? 'wss' : 'ws'
+    "#{scheme}://#{env['HTTP_HOST']}#{env['REQUEST_URI']}"
+  end
+
+  # Send the handshake, then read frames until the client goes away
+  def run
+    @driver.start
+    self.class.add(self)
+
+    Thread.new do
+      loop { @driver.parse(@io.readpartial(4096)) }
+    rescue IOError, Errno::ECONNRESET
+      # Client went away
+    ensure
+      finish
+    end
+  end
+
+  def send_message(message)
+    @driver.text(JSON.generate(message))
+  end
+
+  def silent?
+    Time.now - @last_seen > TIMEOUT_SECONDS
+  end
+
+  def close
+    @driver.close
+    finish
+  end
+
+  private
+
+  def receive(data)
+    message = JSON.parse(data)
+    return unless message['type'] == 'presence'
+
+    @last_seen = Time.now
+    send_message(type: 'presence', watchers: self.class.count)
+  rescue JSON::ParserError
+    # Ignore anything that isn't a heartbeat
+  end
+
+  def finish
+    return if @finished
+
+    @finished = true
+    self.class.remove(self)
+    @io.close unless @io.closed?
+  end
+end